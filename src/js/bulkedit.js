@@ -0,0 +1,77 @@
+import { FIELD_VALIDATORS } from './validators.js';
+import { parseDay, toIsoDay } from './dateutils.js';
+
+// Bulk edits for the selected VirtualList rows. `prepare(input)` validates the
+// toolbar input once and returns `{ error }`, or `{ update, summary }` where
+// `update(item)` gives the new field values for one row (null leaves it as is).
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+export const VALUE_MODES = {
+    set: (value, amount) => amount,
+    add: (value, amount) => roundCents(value + amount),
+    percent: (value, amount) => roundCents(value * (1 + amount / 100))
+};
+
+export const BULK_EDITS = {
+    category: {
+        label: 'Set category',
+        prepare({ category }) {
+            const result = FIELD_VALIDATORS.category(category);
+            if (result.error) return result;
+
+            return {
+                summary: `Category set to "${result.value}"`,
+                update: item => (item.category === result.value ? null : { category: result.value })
+            };
+        }
+    },
+
+    value: {
+        label: 'Change value',
+        prepare({ mode, amount }) {
+            const adjust = VALUE_MODES[mode];
+            if (!adjust) return { error: `Unknown value change "${mode}"` };
+
+            const result = FIELD_VALIDATORS.value(amount);
+            if (result.error) return { error: `Amount: ${result.error}` };
+
+            const summary = mode === 'set'
+                ? `Value set to ${result.value.toLocaleString()}`
+                : mode === 'add'
+                    ? `Value changed by ${result.value > 0 ? '+' : ''}${result.value.toLocaleString()}`
+                    : `Value changed by ${result.value > 0 ? '+' : ''}${result.value}%`;
+
+            return {
+                summary,
+                update: (item) => {
+                    const value = adjust(Number(item.value) || 0, result.value);
+                    return value === item.value ? null : { value };
+                }
+            };
+        }
+    },
+
+    date: {
+        label: 'Shift dates',
+        prepare({ days }) {
+            const count = Number(days);
+            if (!Number.isInteger(count) || count === 0) {
+                return { error: 'Days must be a whole number other than 0' };
+            }
+
+            return {
+                summary: `Dates shifted by ${count > 0 ? '+' : ''}${count} ${Math.abs(count) === 1 ? 'day' : 'days'}`,
+                // Undated rows are left alone; setDate() keeps DST changes out of the shift
+                update: (item) => {
+                    const time = parseDay(item.date);
+                    if (isNaN(time)) return null;
+
+                    const date = new Date(time);
+                    date.setDate(date.getDate() + count);
+                    return { date: toIsoDay(date) };
+                }
+            };
+        }
+    }
+};
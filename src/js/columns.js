@@ -0,0 +1,286 @@
+import { formatDay } from './dateutils.js';
+
+// Column definitions for VirtualList rows. A column has an `id`, a header
+// `label`, a `width` in pixels (null takes the remaining space) and
+// `render(item, context)`, which returns the cell's inner HTML. Imported rows
+// carry arbitrary text, so renderers must escape what they interpolate.
+//
+// Optional: `field` (the item property it shows, used for sorting and inline
+// editing), `compare(a, b)` (orders items when sorting by the column, instead
+// of by `field`), `sortable`, `editable`, `minWidth`, `hidden` (off by default),
+// `pinned` (stays at the left edge when wide rows scroll sideways) and
+// `cellClass(item)` (extra classes for the cell).
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Edit and delete buttons; shared with view templates that draw their own rows.
+// VirtualList handles their clicks by `data-action`.
+export function renderItemActions(item) {
+    const name = escapeHtml(item.name);
+    return `
+        <button class="item-action-btn" data-action="edit" title="Edit item" aria-label="Edit ${name}">✏</button>
+        <button class="item-action-btn" data-action="delete" title="Delete item" aria-label="Delete ${name}">🗑</button>
+    `;
+}
+
+const DEFAULT_MIN_WIDTH = 40;
+const FLEXIBLE_MIN_WIDTH = 120;
+
+const emptyLayout = () => ({ order: [], hidden: [], shown: [], pinned: [], unpinned: [], widths: {} });
+
+export const BUILT_IN_COLUMNS = [
+    {
+        id: 'id',
+        label: 'ID',
+        field: 'id',
+        width: 60,
+        pinned: true,
+        render: item => escapeHtml(item.id)
+    },
+    {
+        id: 'name',
+        label: 'Name',
+        field: 'name',
+        width: null,
+        editable: true,
+        pinned: true,
+        render: (item, { highlight }) => highlight(item.name)
+    },
+    {
+        id: 'category',
+        label: 'Category',
+        field: 'category',
+        width: 120,
+        editable: true,
+        cellClass: item => escapeHtml(item.category),
+        render: item => escapeHtml(item.category)
+    },
+    {
+        id: 'value',
+        label: 'Value',
+        field: 'value',
+        width: 120,
+        editable: true,
+        render: item => `$${item.value.toLocaleString()}`
+    },
+    {
+        id: 'date',
+        label: 'Date',
+        field: 'date',
+        width: 120,
+        editable: true,
+        render: item => escapeHtml(formatDay(item.date))
+    },
+    {
+        id: 'actions',
+        label: 'Actions',
+        width: 100,
+        sortable: false,
+        render: renderItemActions
+    }
+];
+
+// Registered columns plus the user's layout of them: order, visibility,
+// pinning and widths. The layout is kept as saved, so columns registered after it was
+// restored still land where the user put them.
+export class ColumnModel {
+    constructor({ columns = BUILT_IN_COLUMNS, onChange = null } = {}) {
+        this.definitions = new Map();
+        this.registered = []; // Ids in registration order
+        this.layout = emptyLayout();
+        this.onChange = null;
+        columns.forEach(column => this.register(column));
+        this.onChange = onChange;
+    }
+
+    register(definition) {
+        const { id, render } = definition;
+        if (!id || typeof id !== 'string') {
+            throw new TypeError('A column needs a string id');
+        }
+        if (typeof render !== 'function') {
+            throw new TypeError(`Column "${id}" needs a render function`);
+        }
+        if (this.definitions.has(id)) {
+            throw new Error(`A column with id "${id}" is already registered`);
+        }
+
+        this.definitions.set(id, {
+            sortable: Boolean(definition.field || definition.compare),
+            editable: false,
+            minWidth: DEFAULT_MIN_WIDTH,
+            ...definition
+        });
+        this.registered.push(id);
+        this.notify();
+    }
+
+    unregister(id) {
+        if (!this.definitions.delete(id)) return false;
+
+        this.registered = this.registered.filter(registeredId => registeredId !== id);
+        this.notify();
+        return true;
+    }
+
+    notify() {
+        this.onChange?.(this);
+    }
+
+    get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    // Every registered column in display order, pinned columns first. Saved
+    // positions are applied among the columns they mention; the rest keep
+    // their registration slot.
+    get columns() {
+        const saved = this.layout.order.filter(id => this.definitions.has(id));
+        const savedIds = new Set(saved);
+        let next = 0;
+        const ordered = this.registered.map(id => this.definitions.get(savedIds.has(id) ? saved[next++] : id));
+        return [
+            ...ordered.filter(column => this.isPinned(column.id)),
+            ...ordered.filter(column => !this.isPinned(column.id))
+        ];
+    }
+
+    get visibleColumns() {
+        return this.columns.filter(column => this.isVisible(column.id));
+    }
+
+    isVisible(id) {
+        if (this.layout.hidden.includes(id)) return false;
+        if (this.layout.shown.includes(id)) return true;
+        return !this.definitions.get(id)?.hidden;
+    }
+
+    // Returns false when the change was refused: one column always stays visible
+    setVisible(id, visible) {
+        if (!this.definitions.has(id) || this.isVisible(id) === visible) return false;
+        if (!visible && this.visibleColumns.length === 1) return false;
+
+        this.layout.hidden = this.layout.hidden.filter(hiddenId => hiddenId !== id);
+        this.layout.shown = this.layout.shown.filter(shownId => shownId !== id);
+        (visible ? this.layout.shown : this.layout.hidden).push(id);
+        this.notify();
+        return true;
+    }
+
+    isPinned(id) {
+        if (this.layout.unpinned.includes(id)) return false;
+        if (this.layout.pinned.includes(id)) return true;
+        return Boolean(this.definitions.get(id)?.pinned);
+    }
+
+    setPinned(id, pinned) {
+        if (!this.definitions.has(id) || this.isPinned(id) === pinned) return false;
+
+        this.layout.pinned = this.layout.pinned.filter(pinnedId => pinnedId !== id);
+        this.layout.unpinned = this.layout.unpinned.filter(unpinnedId => unpinnedId !== id);
+        (pinned ? this.layout.pinned : this.layout.unpinned).push(id);
+        this.notify();
+        return true;
+    }
+
+    // Moves `id` to `toIndex` in the full column order. Pinned columns only
+    // move among themselves, as do the others.
+    move(id, toIndex) {
+        const order = this.columns.map(column => column.id);
+        const fromIndex = order.indexOf(id);
+        if (fromIndex === -1) return false;
+
+        const pinnedCount = order.filter(columnId => this.isPinned(columnId)).length;
+        const [first, last] = this.isPinned(id) ? [0, pinnedCount - 1] : [pinnedCount, order.length - 1];
+        const target = Math.max(first, Math.min(last, toIndex));
+        if (target === fromIndex) return false;
+
+        order.splice(fromIndex, 1);
+        order.splice(target, 0, id);
+        this.layout.order = order;
+        this.notify();
+        return true;
+    }
+
+    widthOf(id) {
+        return this.layout.widths[id] ?? this.definitions.get(id)?.width ?? null;
+    }
+
+    // `silent` skips the change notification, for live updates while dragging
+    resize(id, width, { silent = false } = {}) {
+        const column = this.definitions.get(id);
+        if (!column) return;
+
+        this.layout.widths[id] = Math.round(Math.max(column.minWidth, width));
+        if (!silent) this.notify();
+    }
+
+    get gridTemplate() {
+        return this.visibleColumns
+            .map((column) => {
+                const width = this.widthOf(column.id);
+                return width === null ? `minmax(${FLEXIBLE_MIN_WIDTH}px, 1fr)` : `${width}px`;
+            })
+            .join(' ');
+    }
+
+    // Pixel layout of the visible columns for rows `available` pixels wide,
+    // with `gap` between cells. Flexible columns share what the fixed ones
+    // leave; `left` is measured from the row's content edge.
+    geometry(available, gap = 0) {
+        const columns = this.visibleColumns;
+        const flexible = columns.filter(column => this.widthOf(column.id) === null).length;
+        const fixed = columns.reduce((sum, column) => sum + (this.widthOf(column.id) ?? 0), 0);
+        const share = flexible ? (available - fixed - gap * (columns.length - 1)) / flexible : 0;
+        const flexibleWidth = Math.max(FLEXIBLE_MIN_WIDTH, Math.floor(share));
+
+        let left = 0;
+        const entries = columns.map((column) => {
+            const entry = { column, left, width: this.widthOf(column.id) ?? flexibleWidth, pinned: this.isPinned(column.id) };
+            left += entry.width + gap;
+            return entry;
+        });
+        return { columns: entries, totalWidth: Math.max(0, left - gap) };
+    }
+
+    getState() {
+        return {
+            order: this.columns.map(column => column.id),
+            hidden: [...this.layout.hidden],
+            shown: [...this.layout.shown],
+            pinned: [...this.layout.pinned],
+            unpinned: [...this.layout.unpinned],
+            widths: { ...this.layout.widths }
+        };
+    }
+
+    applyState(state) {
+        if (!state) return;
+
+        this.layout = {
+            order: Array.isArray(state.order) ? [...state.order] : [],
+            hidden: Array.isArray(state.hidden) ? [...state.hidden] : [],
+            shown: Array.isArray(state.shown) ? [...state.shown] : [],
+            pinned: Array.isArray(state.pinned) ? [...state.pinned] : [],
+            unpinned: Array.isArray(state.unpinned) ? [...state.unpinned] : [],
+            widths: { ...state.widths }
+        };
+        // A layout hiding everything would leave nothing to click on
+        if (this.visibleColumns.length === 0) {
+            this.layout.hidden = [];
+        }
+        this.notify();
+    }
+
+    reset() {
+        this.layout = emptyLayout();
+        this.notify();
+    }
+}
@@ -0,0 +1,315 @@
+import { validateFields } from './validators.js';
+
+// Import and export of VirtualList rows as CSV, TSV, NDJSON and JSON. CSV, TSV
+// and NDJSON files are read as a stream of text chunks so large imports never
+// sit in memory twice; a JSON file has to be read and parsed whole.
+
+export const EXPORT_FIELDS = ['id', 'name', 'category', 'value', 'date'];
+
+export const FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', delimiter: ',' },
+    tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values', delimiter: '\t' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+// Header names recognised for each field, compared case- and punctuation-insensitively
+const FIELD_ALIASES = {
+    id: ['id', 'taskid', 'key', 'number', 'no'],
+    name: ['name', 'title', 'task', 'taskname', 'summary', 'description'],
+    category: ['category', 'priority', 'type', 'label', 'status'],
+    value: ['value', 'amount', 'price', 'cost', 'estimate', 'points'],
+    date: ['date', 'duedate', 'due', 'created', 'createdat', 'updated', 'deadline']
+};
+
+export function detectFormat(fileName = '', sample = '') {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'tsv' || extension === 'tab') return 'tsv';
+    if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+    if (extension === 'json') return 'json';
+
+    const text = sample.trimStart();
+    if (text.startsWith('[')) return 'json';
+    if (text.startsWith('{')) return /\}\s*\n\s*\{/.test(text) ? 'ndjson' : 'json';
+
+    const firstLine = text.split('\n', 1)[0];
+    return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Suggests `{ field: column }` for the given source column names
+export function suggestMapping(columns) {
+    const mapping = {};
+
+    EXPORT_FIELDS.forEach(field => {
+        const match = columns.find(column => FIELD_ALIASES[field].includes(normalizeHeader(column)));
+        mapping[field] = match ?? null;
+    });
+
+    return mapping;
+}
+
+// Streaming CSV/TSV tokenizer (RFC 4180 quoting); state carries across chunks
+export class DelimitedParser {
+    constructor(delimiter = ',') {
+        this.delimiter = delimiter;
+        this.field = '';
+        this.row = [];
+        this.inQuotes = false;
+        this.quotePending = false;
+        this.line = 1;
+        this.rowLine = 1;
+    }
+
+    push(text) {
+        const rows = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (this.inQuotes) {
+                if (this.quotePending) {
+                    this.quotePending = false;
+                    if (ch === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    this.inQuotes = false;
+                } else if (ch === '"') {
+                    this.quotePending = true;
+                    continue;
+                } else {
+                    if (ch === '\n') this.line++;
+                    this.field += ch;
+                    continue;
+                }
+            }
+
+            if (ch === '"' && this.field === '') {
+                this.inQuotes = true;
+            } else if (ch === this.delimiter) {
+                this.row.push(this.field);
+                this.field = '';
+            } else if (ch === '\n') {
+                this.row.push(this.field);
+                rows.push({ fields: this.row, line: this.rowLine });
+                this.field = '';
+                this.row = [];
+                this.line++;
+                this.rowLine = this.line;
+            } else if (ch !== '\r') {
+                this.field += ch;
+            }
+        }
+
+        return rows;
+    }
+
+    end() {
+        if (this.inQuotes && !this.quotePending) {
+            throw new Error(`Unterminated quoted field starting on line ${this.rowLine}`);
+        }
+
+        if (this.field === '' && this.row.length === 0) return [];
+
+        this.row.push(this.field);
+        return [{ fields: this.row, line: this.rowLine }];
+    }
+}
+
+async function* readText(file) {
+    if (typeof file.stream === 'function' && typeof TextDecoderStream !== 'undefined') {
+        const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    yield await file.text();
+}
+
+// JSON values that aren't objects can't be mapped to columns; they become the
+// entry's error instead of its record
+function jsonEntry(location, value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return { ...location, record: value };
+    }
+
+    const found = value === null ? 'null' : Array.isArray(value) ? 'a list' : `a ${typeof value}`;
+    return { ...location, error: `Expected an object, found ${found}` };
+}
+
+// Yields `{ line, record }` for each parsed row, or `{ line, error }` for rows
+// that could not be parsed at all. Records are objects keyed by source column.
+// JSON has no meaningful lines, so its entries carry the record's `index` (from 1)
+// instead; the file is parsed in one go, not streamed.
+export async function* readRecords(file, format) {
+    if (format === 'json') {
+        let text = '';
+        for await (const chunk of readText(file)) {
+            text += chunk;
+        }
+
+        // An array of records, one wrapped as { items } or { data }, or a lone
+        // record; anything else is reported as a single bad record
+        const parsed = JSON.parse(text);
+        let records = [parsed];
+        if (Array.isArray(parsed)) {
+            records = parsed;
+        } else if (Array.isArray(parsed?.items)) {
+            records = parsed.items;
+        } else if (Array.isArray(parsed?.data)) {
+            records = parsed.data;
+        }
+        for (let i = 0; i < records.length; i++) {
+            yield jsonEntry({ index: i + 1 }, records[i]);
+        }
+        return;
+    }
+
+    if (format === 'ndjson') {
+        let buffer = '';
+        let line = 0;
+
+        const parseLine = (text) => {
+            line++;
+            if (!text.trim()) return null;
+            try {
+                return jsonEntry({ line }, JSON.parse(text));
+            } catch (error) {
+                return { line, error: `Invalid JSON: ${error.message}` };
+            }
+        };
+
+        for await (const chunk of readText(file)) {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const text of lines) {
+                const result = parseLine(text);
+                if (result) yield result;
+            }
+        }
+
+        const result = parseLine(buffer);
+        if (result) yield result;
+        return;
+    }
+
+    const parser = new DelimitedParser(FORMATS[format].delimiter);
+    let headers = null;
+
+    function* toRecords(rows) {
+        for (const { fields, line } of rows) {
+            if (fields.length === 1 && fields[0].trim() === '') continue;
+
+            if (!headers) {
+                headers = fields.map(header => header.trim());
+                continue;
+            }
+
+            if (fields.length !== headers.length) {
+                yield { line, error: `Expected ${headers.length} fields, found ${fields.length}` };
+                continue;
+            }
+
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = unescapeFormula(fields[index]);
+            });
+            yield { line, record };
+        }
+    }
+
+    for await (const chunk of readText(file)) {
+        yield* toRecords(parser.push(chunk));
+    }
+    yield* toRecords(parser.end());
+}
+
+// Converts a source record into row fields using `{ field: column }`; returns
+// the row plus a list of problems (an empty list means the row is valid)
+export function coerceRecord(source, mapping) {
+    const read = (field) => {
+        const column = mapping[field];
+        const value = column === null || column === undefined ? undefined : source[column];
+        return typeof value === 'string' ? value.trim() : value;
+    };
+    const isEmpty = value => value === undefined || value === null || value === '';
+
+    // Optional columns fall back to defaults; anything present must validate
+    const { values, errors } = validateFields({
+        name: read('name'),
+        category: isEmpty(read('category')) ? 'normal' : read('category'),
+        value: isEmpty(read('value')) ? 0 : read('value'),
+        date: read('date')
+    });
+
+    const rawId = read('id');
+    const numericId = Number(rawId);
+    const id = isEmpty(rawId) ? null : (Number.isFinite(numericId) ? numericId : String(rawId));
+
+    return {
+        row: { id, ...values },
+        problems: Object.values(errors)
+    };
+}
+
+// Text a spreadsheet would run as a formula, or that already starts with the
+// guard quote; guarding the latter too keeps every value intact on re-import
+const FORMULA_START = /^'*[=+\-@]/;
+
+// Undoes the formula guard escapeDelimited adds, so exported text reads back as it was
+function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text;
+}
+
+function escapeDelimited(value, delimiter) {
+    let text = String(value ?? '');
+
+    // Stop spreadsheets from evaluating imported text as formulas
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+// Serializes rows into an array of string chunks, suitable for a Blob
+export function serializeRows(rows, format) {
+    const pick = row => {
+        const record = {};
+        EXPORT_FIELDS.forEach(field => {
+            record[field] = row[field];
+        });
+        return record;
+    };
+
+    if (format === 'json') {
+        return [JSON.stringify(rows.map(pick), null, 2)];
+    }
+
+    if (format === 'ndjson') {
+        return rows.map(row => `${JSON.stringify(pick(row))}\n`);
+    }
+
+    const { delimiter } = FORMATS[format];
+    const chunks = [`${EXPORT_FIELDS.join(delimiter)}\r\n`];
+    rows.forEach(row => {
+        chunks.push(`${EXPORT_FIELDS.map(field => escapeDelimited(row[field], delimiter)).join(delimiter)}\r\n`);
+    });
+    return chunks;
+}
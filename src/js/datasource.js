@@ -0,0 +1,250 @@
+import { toIsoDay } from './dateutils.js';
+
+// Data sources feed VirtualList with rows. Every source is an async iterable of
+// batches (arrays of normalized rows), so the list can render while loading.
+
+const DEMO_CATEGORIES = ['urgent', 'normal', 'low'];
+const DEMO_NAMES = [
+    'Review Code', 'Fix Bug', 'Update Docs', 'Team Meeting', 'Deploy App',
+    'Write Tests', 'Refactor Code', 'Security Audit', 'Performance Review',
+    'Database Optimization', 'UI Enhancement', 'API Development'
+];
+
+export function normalizeRecord(record, fallbackId) {
+    const value = Number(record.value);
+
+    return {
+        id: record.id ?? fallbackId,
+        name: String(record.name ?? ''),
+        category: String(record.category ?? 'normal'),
+        value: Number.isFinite(value) ? value : 0,
+        date: toIsoDay(record.date) || String(record.date ?? '')
+    };
+}
+
+export class DataSource {
+    constructor(options = {}) {
+        this.mapRecord = options.mapRecord || (record => record);
+        this.batchSize = options.batchSize || 1000;
+        this.signal = options.signal || null;
+        this.total = null; // Unknown until the source reports it
+        this.recordCount = 0;
+    }
+
+    toRow(record) {
+        this.recordCount++;
+        return normalizeRecord(this.mapRecord(record), this.recordCount);
+    }
+
+    async *batches() {
+        throw new Error(`${this.constructor.name} must implement batches()`);
+    }
+
+    [Symbol.asyncIterator]() {
+        this.recordCount = 0;
+        return this.batches();
+    }
+}
+
+// In-memory array of records
+export class ArrayDataSource extends DataSource {
+    constructor(records, options = {}) {
+        super(options);
+        this.records = records;
+        this.total = records.length;
+    }
+
+    async *batches() {
+        for (let i = 0; i < this.records.length; i += this.batchSize) {
+            yield this.records.slice(i, i + this.batchSize).map(record => this.toRow(record));
+        }
+    }
+}
+
+// Resolves after `ms`, or rejects with an AbortError once `signal` aborts
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Page-by-page fetcher. `fetchPage(page, pageSize, signal)` resolves to either an
+// array of records or `{ items, total, hasMore }`; without it, `url` is fetched
+// as `url?page=N&pageSize=M` and expected to return the same shape as JSON.
+// A failed page is retried `retries` times, waiting `retryDelay` ms and then
+// twice as long after each further failure.
+//
+// Besides iterating every page, pages can be pulled one at a time with
+// loadNextPage(), as VirtualList's infinite scrolling does.
+export class PagedDataSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || null;
+        this.pageSize = options.pageSize || 500;
+        this.firstPage = options.firstPage ?? 1;
+        this.retries = options.retries ?? 0;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.fetchPage = options.fetchPage || ((page, pageSize, signal) => this.fetchJson(page, pageSize, signal));
+        this.nextPage = this.firstPage;
+        this.done = false; // Set once the last page has loaded
+
+        if (!options.fetchPage && !this.url) {
+            throw new Error('PagedDataSource requires a url or a fetchPage function');
+        }
+    }
+
+    async fetchJson(page, pageSize, signal) {
+        const url = new URL(this.url, window.location.href);
+        url.searchParams.set('page', page);
+        url.searchParams.set('pageSize', pageSize);
+
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load page ${page}: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    // Starts again from the first page
+    reset() {
+        this.recordCount = 0;
+        this.nextPage = this.firstPage;
+        this.done = false;
+    }
+
+    async fetchWithRetry(page) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchPage(page, this.pageSize, this.signal);
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= this.retries) throw error;
+
+                console.warn(`Page ${page} failed, retrying (${attempt + 1}/${this.retries}):`, error);
+                await wait(this.retryDelay * 2 ** attempt, this.signal);
+            }
+        }
+    }
+
+    // Rows of the next page, or an empty array once done. A page that still
+    // fails after its retries throws and is fetched again on the next call.
+    async loadNextPage() {
+        if (this.done) return [];
+
+        const page = this.nextPage;
+        const result = await this.fetchWithRetry(page);
+        const items = Array.isArray(result) ? result : (result?.items || []);
+
+        if (result && typeof result.total === 'number') {
+            this.total = result.total;
+        }
+
+        const rows = items.map(record => this.toRow(record));
+        const hasMore = Array.isArray(result) || result?.hasMore === undefined
+            ? items.length === this.pageSize && (this.total === null || this.recordCount < this.total)
+            : result.hasMore;
+
+        this.nextPage = page + 1;
+        this.done = !hasMore;
+        return rows;
+    }
+
+    async *batches() {
+        this.reset();
+
+        while (!this.signal?.aborted && !this.done) {
+            const rows = await this.loadNextPage();
+            if (rows.length > 0) {
+                yield rows;
+            }
+        }
+    }
+}
+
+// Any sync or async iterable of records, or a ReadableStream of records
+export class StreamDataSource extends DataSource {
+    constructor(stream, options = {}) {
+        super(options);
+        this.stream = stream;
+    }
+
+    async *records() {
+        if (typeof this.stream.getReader === 'function') {
+            const reader = this.stream.getReader();
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) return;
+                    yield value;
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        }
+
+        yield* this.stream;
+    }
+
+    async *batches() {
+        let batch = [];
+
+        for await (const record of this.records()) {
+            if (this.signal?.aborted) return;
+
+            batch.push(this.toRow(record));
+            if (batch.length >= this.batchSize) {
+                yield batch;
+                batch = [];
+            }
+        }
+
+        if (batch.length > 0) {
+            yield batch;
+        }
+    }
+}
+
+// Synthetic rows for the demo buttons; ids continue from `startId`
+export class DemoDataSource extends DataSource {
+    constructor(options = {}) {
+        super({ batchSize: options.count, ...options });
+        this.count = options.count || 0;
+        this.startId = options.startId || 1;
+        this.total = this.count;
+    }
+
+    async *batches() {
+        if (this.count > 0) {
+            yield this.generate();
+        }
+    }
+
+    generate() {
+        const rows = [];
+
+        for (let i = 0; i < this.count; i++) {
+            const id = this.startId + i;
+
+            rows.push({
+                id,
+                name: `${DEMO_NAMES[i % DEMO_NAMES.length]} #${id}`,
+                category: DEMO_CATEGORIES[i % DEMO_CATEGORIES.length],
+                value: Math.floor(Math.random() * 10000),
+                date: toIsoDay(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000)
+            });
+        }
+
+        return rows;
+    }
+}
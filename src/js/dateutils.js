@@ -0,0 +1,51 @@
+// Item dates are stored as local `YYYY-MM-DD` days so they sort and compare as
+// real dates; they are only formatted for display.
+
+// Date rolls days that don't exist over into the next month ("2025-02-30" is
+// March 2nd); such days come back as an invalid date instead
+function localDay(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() + 1 === month && date.getDate() === day
+        ? date
+        : new Date(NaN);
+}
+
+// Local midnight for `YYYY-MM-DD`, a Date, a timestamp or anything Date can parse; NaN otherwise
+export function parseDay(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+
+    let date;
+    if (value instanceof Date || typeof value === 'number') {
+        date = new Date(value);
+    } else {
+        const text = String(value).trim();
+        const yearFirst = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+        const monthFirst = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (yearFirst) {
+            date = localDay(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]));
+        } else if (monthFirst) {
+            date = localDay(Number(monthFirst[3]), Number(monthFirst[1]), Number(monthFirst[2]));
+        } else {
+            date = new Date(text);
+        }
+    }
+
+    if (isNaN(date.getTime())) return NaN;
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+export function toIsoDay(value) {
+    const time = parseDay(value);
+    if (isNaN(time)) return '';
+
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function formatDay(value) {
+    const time = parseDay(value);
+    return isNaN(time) ? String(value ?? '') : new Date(time).toLocaleDateString();
+}
@@ -1,14 +1,24 @@
+import { DEFAULT_LANES, defineLanes } from './droplanes.js';
+import { CommandHistory } from './history.js';
+
 export class DragDrop {
-    constructor() {
+    // `options` override entries of `config`, e.g. { lanes, maxDroppedItems }
+    constructor(options = {}) {
         // DOM elements
         this.dragContainer = document.getElementById('drag-container');
-        this.dragZone = document.getElementById('drag-zone');
-        this.droppedItems = document.getElementById('dropped-items');
+        this.laneContainer = document.getElementById('drag-lanes');
         this.sourceList = document.querySelector('.draggable-items');
+        this.laneElements = new Map(); // lane id -> { zone, list, count }
+        this.insertionCaret = null;
+        this.pendingCards = new Set(); // Cards of a multi-item change that aren't placed yet
         
         // State management
         this.items = new Map(); // Master item registry
         this.currentDragItem = null;
+        this.dragGroup = []; // Items dragged along with currentDragItem, itself included
+        this.selection = new Set(); // Ids of selected items
+        this.selectionAnchor = null; // Where Shift selects a range from
+        this.selectionClearTimer = null; // Pending clear from a plain click on a selected item
         this.dragPreview = null;
         this.isDragging = false;
         this.touchStartPos = { x: 0, y: 0 };
@@ -21,14 +31,25 @@ export class DragDrop {
             snapBackDuration: 200,
             dragThreshold: 5,
             touchHoldDelay: 150,
-            enableSorting: true,
-            enableCategories: true,
+            doubleClickDelay: 400, // How long a plain click on a selected item waits for a second one
+            enableSorting: true, // Reordering within a lane and dropping between cards
+            enableCategories: true, // Lane category rules and categoryLimits
             persistState: true,
-            maxDroppedItems: 20
+            maxDroppedItems: 20, // Across all lanes
+            categoryLimits: {}, // Most items of a category on the board, e.g. { urgent: 5 }
+            validateDrop: null, // (item, lane, dragDrop) => false or a reason string refuses a drop
+            historyLimit: 50, // Undo steps kept, and saved with the state
+            lanes: DEFAULT_LANES,
+            ...options
         };
+        this.lanes = defineLanes(this.config.lanes);
+        this.history = new CommandHistory({
+            maxEntries: this.config.historyLimit,
+            onChange: () => this.updateHistoryControls()
+        });
         
         // Validation
-        if (!this.dragContainer || !this.dragZone || !this.droppedItems || !this.sourceList) {
+        if (!this.dragContainer || !this.laneContainer || !this.sourceList) {
             console.error('Required drag & drop elements not found');
             return;
         }
@@ -38,6 +59,7 @@ export class DragDrop {
     
     init() {
         this.initializeItems();
+        this.createLanes();
         this.loadPersistedState();
         this.setupEventListeners();
         this.createControlPanel();
@@ -54,7 +76,8 @@ export class DragDrop {
                 text: element.textContent.trim(),
                 category: element.dataset.category || 'default',
                 originalIndex: index,
-                state: 'source', // 'source', 'dropped', 'removed'
+                state: 'source', // 'source', 'dropped', 'removed' (in the trash), 'deleted'
+                lane: null, // Lane id while dropped
                 timestamp: Date.now(),
                 element: element
             };
@@ -62,6 +85,49 @@ export class DragDrop {
         });
     }
 
+    createLanes() {
+        this.laneContainer.innerHTML = '';
+        this.lanes.forEach((lane) => {
+            const zone = document.createElement('div');
+            zone.className = 'drag-zone drag-lane';
+            zone.dataset.lane = lane.id;
+            zone.setAttribute('role', 'listbox');
+            zone.setAttribute('aria-label', `${lane.label} lane`);
+            
+            const header = document.createElement('div');
+            header.className = 'lane-header';
+            const title = document.createElement('span');
+            title.className = 'lane-title';
+            title.textContent = lane.label;
+            const count = document.createElement('span');
+            count.className = 'lane-count';
+            header.append(title, count);
+            
+            const list = document.createElement('div');
+            list.className = 'dropped-items';
+            
+            const hint = document.createElement('p');
+            hint.className = 'drop-text lane-empty';
+            hint.textContent = 'Drop tasks here';
+            
+            zone.append(header, list, hint);
+            this.laneContainer.appendChild(zone);
+            this.laneElements.set(lane.id, { zone, list, count });
+        });
+    }
+
+    get firstLaneId() {
+        return this.lanes.keys().next().value;
+    }
+
+    itemsInLane(laneId) {
+        return Array.from(this.items.values()).filter(item => item.state === 'dropped' && item.lane === laneId);
+    }
+
+    get droppedCount() {
+        return Array.from(this.items.values()).filter(item => item.state === 'dropped').length;
+    }
+
     loadPersistedState() {
         if (!this.config.persistState) return;
         
@@ -83,15 +149,56 @@ export class DragDrop {
             items: Array.from(this.items.entries()).map(([id, item]) => ({
                 id: item.id,
                 state: item.state,
-                droppedPosition: item.droppedPosition || null,
+                lane: item.lane,
+                droppedPosition: item.droppedPosition ?? null,
                 timestamp: item.timestamp
             })),
-            // No history tracking
+            history: {
+                undo: this.history.undoStack.map(entry => this.serializeHistoryEntry(entry)),
+                redo: this.history.redoStack.map(entry => this.serializeHistoryEntry(entry))
+            }
         };
         
         localStorage.setItem('dragdrop-state', JSON.stringify(state));
     }
 
+    // Puts items back where they were saved; lanes are filled in their saved
+    // order, and items of lanes no longer configured go to the first lane
+    restoreState(state) {
+        if (!Array.isArray(state?.items)) return;
+        
+        const saved = state.items
+            .filter(entry => this.items.has(entry.id))
+            .sort((a, b) => (a.droppedPosition ?? 0) - (b.droppedPosition ?? 0));
+        
+        saved.forEach((entry) => {
+            const item = this.items.get(entry.id);
+            item.timestamp = entry.timestamp ?? item.timestamp;
+            
+            if (entry.state === 'removed' || entry.state === 'deleted') {
+                item.state = entry.state;
+                item.element?.remove();
+            } else if (entry.state === 'dropped') {
+                // Saved before there were lanes: the single drop zone becomes the first lane
+                item.state = 'dropped';
+                item.lane = this.lanes.has(entry.lane) ? entry.lane : this.firstLaneId;
+                this.createDroppedElement(item);
+                this.updateSourceElement(item, true);
+            }
+        });
+        this.lanes.forEach((lane, laneId) => this.updateLanePositions(laneId));
+        
+        // Steps that mention items no longer on the page are dropped
+        const toCommands = entries => (Array.isArray(entries) ? entries : [])
+            .filter(entry => Array.isArray(entry?.changes) && entry.changes.every(change => this.items.has(change.id)))
+            .map(entry => this.createMoveCommand(entry.label, entry.changes));
+        this.history.load(toCommands(state.history?.undo), toCommands(state.history?.redo));
+    }
+
+    serializeHistoryEntry(entry) {
+        return { label: entry.label, changes: entry.commands.flatMap(command => command.changes) };
+    }
+
     createControlPanel() {
         const controlPanel = document.createElement('div');
         controlPanel.className = 'drag-control-panel';
@@ -99,31 +206,71 @@ export class DragDrop {
             <button id="clear-all-btn" class="control-btn">
                 <span aria-hidden="true">🗑</span> Clear All
             </button>
+            <button id="drag-undo-btn" class="control-btn" disabled>
+                <span aria-hidden="true">↶</span> Undo
+            </button>
+            <button id="drag-redo-btn" class="control-btn" disabled>
+                <span aria-hidden="true">↷</span> Redo
+            </button>
+            <button id="trash-btn" class="control-btn" aria-expanded="false" aria-controls="trash-panel">
+                <span aria-hidden="true">♻</span> Trash (<span id="trash-count">0</span>)
+            </button>
             <span class="item-counter">
                 <span id="dropped-count">0</span> / <span id="max-items">${this.config.maxDroppedItems}</span> items
             </span>
+            <div id="trash-panel" class="trash-panel" hidden>
+                <div class="trash-header">
+                    <strong>Trash</strong>
+                    <button id="empty-trash-btn" class="control-btn">Empty Trash</button>
+                </div>
+                <ul class="trash-list" aria-label="Removed items"></ul>
+                <p class="trash-empty">Removed items stay here until the trash is emptied</p>
+            </div>
         `;
         
         this.dragContainer.insertBefore(controlPanel, this.dragContainer.firstChild);
+        this.undoButton = document.getElementById('drag-undo-btn');
+        this.redoButton = document.getElementById('drag-redo-btn');
+        this.trashButton = document.getElementById('trash-btn');
+        this.trashPanel = document.getElementById('trash-panel');
+        this.trashList = this.trashPanel.querySelector('.trash-list');
         this.setupControlPanelEvents();
     }
 
     setupControlPanelEvents() {
         document.getElementById('clear-all-btn').addEventListener('click', () => this.clearAll());
+        this.undoButton.addEventListener('click', () => this.undo());
+        this.redoButton.addEventListener('click', () => this.redo());
+        document.getElementById('empty-trash-btn').addEventListener('click', () => this.emptyTrash());
+        
+        this.trashButton.addEventListener('click', () => {
+            this.trashPanel.hidden = !this.trashPanel.hidden;
+            this.trashButton.setAttribute('aria-expanded', String(!this.trashPanel.hidden));
+        });
+        this.trashList.addEventListener('click', (e) => {
+            const button = e.target.closest('.restore-btn');
+            if (button) {
+                this.restoreFromTrash(this.items.get(button.dataset.item));
+            }
+        });
     }
 
     setupEventListeners() {
-        // Drag and drop events
-        this.sourceList.addEventListener('dragstart', (e) => this.handleDragStart(e));
-        this.sourceList.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        // Drag and drop events; items are dragged from the source list and between lanes
+        [this.sourceList, this.laneContainer].forEach((element) => {
+            element.addEventListener('dragstart', (e) => this.handleDragStart(e));
+            element.addEventListener('dragend', (e) => this.handleDragEnd(e));
+            element.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+            element.addEventListener('click', (e) => this.handleSelectionClick(e));
+        });
         
         // Touch events for mobile
-        this.sourceList.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
         document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
         document.addEventListener('touchend', (e) => this.handleTouchEnd(e));
         
         // Keyboard events
         this.sourceList.addEventListener('keydown', (e) => this.handleKeyboardInteraction(e));
+        this.dragContainer.addEventListener('keydown', (e) => this.handleHistoryKeys(e));
         
         // Drop zone events
         this.setupDropZones();
@@ -133,10 +280,10 @@ export class DragDrop {
     }
 
     setupDropZones() {
-        // Main drop zone
-        this.dragZone.addEventListener('dragover', (e) => this.handleDragOver(e));
-        this.dragZone.addEventListener('dragleave', (e) => this.handleDragLeave(e));
-        this.dragZone.addEventListener('drop', (e) => this.handleDrop(e));
+        // Lanes
+        this.laneContainer.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.laneContainer.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+        this.laneContainer.addEventListener('drop', (e) => this.handleDrop(e));
         
         // Source list as a drop zone for returning items
         this.sourceList.addEventListener('dragover', (e) => this.handleSourceDragOver(e));
@@ -144,13 +291,14 @@ export class DragDrop {
     }
 
     handleDragStart(e) {
-        const item = e.target.closest('.draggable-item');
+        const item = e.target.closest('.draggable-item, .dropped-item');
         if (!item || item.getAttribute('aria-disabled') === 'true') {
             e.preventDefault();
             return;
         }
 
         this.currentDragItem = this.items.get(item.dataset.item);
+        this.dragGroup = this.groupFor(this.currentDragItem);
         this.dragStartTime = Date.now();
         this.isDragging = true;
         
@@ -158,63 +306,106 @@ export class DragDrop {
         e.dataTransfer.setData('text/plain', this.currentDragItem.id);
         e.dataTransfer.setData('application/json', JSON.stringify(this.currentDragItem));
         
-        item.classList.add('dragging');
-        item.setAttribute('aria-grabbed', 'true');
+        this.dragGroup.forEach((member) => {
+            const element = this.elementOf(member);
+            element.classList.add('dragging');
+            element.setAttribute('aria-grabbed', 'true');
+        });
         
-        this.createDragPreview(item);
-        this.announceToScreenReader(`Started dragging ${this.currentDragItem.text}`);
+        this.createDragPreview(item, this.dragGroup.length);
+        if (this.dragGroup.length > 1) {
+            // The browser would otherwise show only the card under the pointer
+            e.dataTransfer.setDragImage?.(this.dragPreview, 20, 20);
+        }
+        this.announceToScreenReader(`Started dragging ${this.describeGroup(this.dragGroup)}`);
         
         // Add visual feedback to valid drop zones
         this.highlightDropZones(true);
     }
 
     handleDragEnd(e) {
-        if (this.currentDragItem) {
-            const item = this.currentDragItem.element;
-            item.classList.remove('dragging');
-            item.setAttribute('aria-grabbed', 'false');
-        }
-        
         this.highlightDropZones(false);
         this.cleanup();
     }
 
     handleDragOver(e) {
+        const zone = e.target.closest('.drag-lane');
+        if (!zone) return;
+        
         e.preventDefault();
+        
+        if (this.markRejectedLane(zone)) {
+            e.dataTransfer.dropEffect = 'none';
+            zone.classList.remove('drag-over');
+            this.hideInsertionCaret();
+            return;
+        }
         e.dataTransfer.dropEffect = 'move';
         
-        if (!this.dragZone.classList.contains('drag-over')) {
-            this.dragZone.classList.add('drag-over');
-            this.animateDropZone(this.dragZone);
+        if (!zone.classList.contains('drag-over')) {
+            zone.classList.add('drag-over');
+            this.animateDropZone(zone);
+        }
+        this.showInsertionCaret(zone.dataset.lane, e.clientY);
+    }
+
+    // Shows on `zone` whether the dragged item would be refused, and why.
+    // Returns true when it would be.
+    markRejectedLane(zone) {
+        const reason = this.dragGroup.length ? this.getGroupRefusal(this.dragGroup, zone.dataset.lane) : null;
+        
+        zone.classList.toggle('drop-rejected', Boolean(reason));
+        if (reason) {
+            zone.dataset.rejectReason = reason;
+        } else {
+            delete zone.dataset.rejectReason;
         }
+        return Boolean(reason);
+    }
+
+    clearRejectedLanes() {
+        this.laneElements.forEach(({ zone }) => {
+            zone.classList.remove('drop-rejected');
+            delete zone.dataset.rejectReason;
+        });
     }
 
     handleDragLeave(e) {
-        const rect = this.dragZone.getBoundingClientRect();
+        const zone = e.target.closest('.drag-lane');
+        if (!zone) return;
+        
+        const rect = zone.getBoundingClientRect();
         const x = e.clientX;
         const y = e.clientY;
         
         if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
-            this.dragZone.classList.remove('drag-over');
+            zone.classList.remove('drag-over');
+            this.clearRejectedLanes();
+            this.hideInsertionCaret();
         }
     }
 
     handleDrop(e) {
+        const zone = e.target.closest('.drag-lane');
+        if (!zone) return;
+        
         e.preventDefault();
         
         try {
             const itemId = e.dataTransfer.getData('text/plain');
             const item = this.items.get(itemId);
             
-            if (item && this.canDropItem(item)) {
-                this.dropItem(item);
+            if (item) {
+                this.dropAt(this.draggedGroup(item), zone.dataset.lane, e.clientY);
             }
         } catch (error) {
             console.error('Drop failed:', error);
             this.announceToScreenReader('Drop failed. Please try again.');
         }
         
-        this.dragZone.classList.remove('drag-over');
+        zone.classList.remove('drag-over');
+        this.clearRejectedLanes();
+        this.hideInsertionCaret();
     }
 
     handleSourceDragOver(e) {
@@ -230,51 +421,503 @@ export class DragDrop {
         const itemId = e.dataTransfer.getData('text/plain');
         const item = this.items.get(itemId);
         
-        if (item && item.state === 'dropped') {
-            this.returnItemToSource(item);
+        if (item) {
+            this.returnItems(this.draggedGroup(item));
+        }
+    }
+
+    // Whether `item` may go into lane `laneId`; a refusal is announced with its reason
+    canDropItem(item, laneId = this.firstLaneId) {
+        if (!item || !this.lanes.has(laneId) || item.lane === laneId) return false;
+        if (item.state !== 'source' && item.state !== 'dropped') return false;
+        
+        const reason = this.getDropRefusal(item, laneId);
+        if (reason) {
+            this.announceToScreenReader(reason);
+            return false;
         }
+        return true;
     }
 
-    canDropItem(item) {
-        if (!item || item.state !== 'source') return false;
+    // Why `item` can't go into lane `laneId`, or null when it can
+    getDropRefusal(item, laneId) {
+        const lane = this.lanes.get(laneId);
+        // Moves between lanes don't change what is on the board
+        const joinsBoard = item.state === 'source';
+        
+        if (joinsBoard && this.droppedCount >= this.config.maxDroppedItems) {
+            return `Maximum ${this.config.maxDroppedItems} items allowed on the board`;
+        }
         
-        const droppedCount = Array.from(this.items.values())
-            .filter(i => i.state === 'dropped').length;
+        const inLane = this.itemsInLane(laneId);
+        if (lane.capacity !== null && inLane.length >= lane.capacity) {
+            return `${lane.label} is full: at most ${lane.capacity} items`;
+        }
+        
+        if (this.config.enableCategories) {
+            const { category } = item;
+            if (lane.categories && !lane.categories.includes(category)) {
+                return `${lane.label} only accepts ${lane.categories.join(', ')} items, not ${category}`;
+            }
+            
+            const quota = lane.quotas[category];
+            if (quota !== undefined && inLane.filter(other => other.category === category).length >= quota) {
+                return `${lane.label} already holds its limit of ${quota} ${category} items`;
+            }
             
-        if (droppedCount >= this.config.maxDroppedItems) {
-            this.announceToScreenReader(`Maximum ${this.config.maxDroppedItems} items allowed in drop zone`);
+            const limit = this.config.categoryLimits[category];
+            if (joinsBoard && limit !== undefined && this.categoryCount(category) >= limit) {
+                return `At most ${limit} ${category} items allowed on the board`;
+            }
+        }
+        
+        return this.ruleRefusal(lane.accept?.(item, this), `${lane.label} doesn't accept ${item.text}`) ||
+            this.ruleRefusal(this.config.validateDrop?.(item, lane, this), `${item.text} can't go into ${lane.label}`);
+    }
+
+    // Accept rules return false, or a string explaining the refusal
+    ruleRefusal(result, fallback) {
+        if (typeof result === 'string') return result;
+        return result === false ? fallback : null;
+    }
+
+    categoryCount(category) {
+        return Array.from(this.items.values())
+            .filter(item => item.state === 'dropped' && item.category === category).length;
+    }
+
+    // Why `items` can't all go into lane `laneId`, or null when they can. Counts
+    // are checked for the whole group; the lane's accept rules for each item.
+    getGroupRefusal(items, laneId) {
+        const lane = this.lanes.get(laneId);
+        const moving = items.filter(item => item.lane !== laneId);
+        if (!lane || moving.length === 0) return null;
+        if (moving.length === 1) return this.getDropRefusal(moving[0], laneId);
+        
+        const joining = moving.filter(item => item.state === 'source');
+        const room = this.config.maxDroppedItems - this.droppedCount;
+        if (joining.length > room) {
+            return `Only ${this.describeCount(room)} fit on the board, ${joining.length} selected`;
+        }
+        
+        const inLane = this.itemsInLane(laneId);
+        if (lane.capacity !== null && inLane.length + moving.length > lane.capacity) {
+            return `${lane.label} has room for ${this.describeCount(Math.max(0, lane.capacity - inLane.length))}, ${moving.length} selected`;
+        }
+        
+        if (this.config.enableCategories) {
+            for (const category of new Set(moving.map(item => item.category))) {
+                const ofCategory = list => list.filter(item => item.category === category).length;
+                
+                const quota = lane.quotas[category];
+                if (quota !== undefined && ofCategory(inLane) + ofCategory(moving) > quota) {
+                    return `${lane.label} holds at most ${quota} ${category} items`;
+                }
+                
+                const limit = this.config.categoryLimits[category];
+                if (limit !== undefined && ofCategory(joining) > 0 && this.categoryCount(category) + ofCategory(joining) > limit) {
+                    return `At most ${limit} ${category} items allowed on the board`;
+                }
+            }
+        }
+        
+        for (const item of moving) {
+            const reason = this.getDropRefusal(item, laneId);
+            if (reason) return reason;
+        }
+        return null;
+    }
+
+    // Drops or reorders the dragged items at the pointer's height in lane `laneId`
+    dropAt(items, laneId, clientY) {
+        const index = this.config.enableSorting ? this.getInsertionIndex(laneId, clientY, items) : null;
+        if (items.length > 1) {
+            this.dropGroup(items, laneId, index);
+            return;
+        }
+        
+        const [item] = items;
+        if (item.lane === laneId) {
+            if (index !== null) {
+                this.reorderItem(item, index);
+            }
+        } else if (this.canDropItem(item, laneId)) {
+            this.dropItem(item, laneId, index);
+        }
+    }
+
+    // Drops a source item onto a lane, or moves a dropped item to another lane.
+    // `index` is its place among the lane's items; null puts it last.
+    dropItem(item, laneId = this.firstLaneId, index = null) {
+        if (!this.canDropItem(item, laneId)) return;
+        
+        const lane = this.lanes.get(laneId);
+        const moving = item.state === 'dropped';
+        
+        this.commitMoves(`${moving ? 'move' : 'drop'} of ${item.text}`, [
+            { item, to: { state: 'dropped', lane: laneId, position: index } }
+        ]);
+        this.announceToScreenReader(moving ? `${item.text} moved to ${lane.label}` : `${item.text} dropped in ${lane.label}`);
+    }
+
+    // Moves a dropped item to `index` among the items of its lane
+    reorderItem(item, index) {
+        if (!this.config.enableSorting || item.state !== 'dropped') return false;
+        
+        const lane = this.lanes.get(item.lane);
+        const count = this.itemsInLane(item.lane).length;
+        const target = Math.max(0, Math.min(count - 1, index));
+        if (target === item.droppedPosition) return false;
+        
+        this.commitMoves(`reorder of ${item.text}`, [
+            { item, to: { state: 'dropped', lane: item.lane, position: target } }
+        ]);
+        this.announceToScreenReader(`${item.text} moved to position ${target + 1} of ${count} in ${lane.label}`);
+        return true;
+    }
+
+    // Drops or moves several items into a lane as one block, in the order
+    // given, from `index` on. When appending (null), items already in the
+    // lane stay where they are.
+    dropGroup(items, laneId = this.firstLaneId, index = null) {
+        const lane = this.lanes.get(laneId);
+        const group = items
+            .filter(item => item.state === 'source' || item.state === 'dropped')
+            .filter(item => index !== null || item.lane !== laneId);
+        if (!lane || group.length === 0) return false;
+        
+        const reason = this.getGroupRefusal(group, laneId);
+        if (reason) {
+            this.announceToScreenReader(reason);
             return false;
         }
         
+        this.commitMoves(`drop of ${this.describeCount(group.length)}`, group.map((item, i) => ({
+            item,
+            to: { state: 'dropped', lane: laneId, position: index === null ? null : index + i }
+        })));
+        this.clearSelection();
+        this.announceToScreenReader(`${this.describeGroup(group)} moved to ${lane.label}`);
         return true;
     }
 
-    dropItem(item) {
-        if (!this.canDropItem(item)) return;
+    // Returns the dropped ones among `items` to the source list, as one step
+    returnItems(items) {
+        const dropped = items.filter(item => item.state === 'dropped');
+        if (dropped.length <= 1) {
+            if (dropped.length) this.returnItemToSource(dropped[0]);
+            return;
+        }
         
-        // Update item state
-        item.state = 'dropped';
-        item.droppedPosition = this.getNextDropPosition();
-        item.timestamp = Date.now();
+        this.commitMoves(`return of ${this.describeCount(dropped.length)}`, dropped.map(item => ({ item, to: { state: 'source' } })));
+        this.clearSelection();
+        this.announceToScreenReader(`${this.describeCount(dropped.length)} returned to source list`);
+    }
+
+    // Moves the dropped ones among `items` to the trash, as one step
+    removeItems(items) {
+        const dropped = items.filter(item => item.state === 'dropped');
+        if (dropped.length <= 1) {
+            if (dropped.length) this.permanentlyRemoveItem(dropped[0]);
+            return;
+        }
         
-        // Create dropped element
-        this.createDroppedElement(item);
+        this.commitMoves(`removal of ${this.describeCount(dropped.length)}`, dropped.map(item => ({ item, to: { state: 'removed' } })));
+        this.clearSelection();
+        this.announceToScreenReader(`${this.describeCount(dropped.length)} moved to the trash. Press Ctrl+Z to undo`);
+    }
+
+    describeCount(count) {
+        return `${count} item${count === 1 ? '' : 's'}`;
+    }
+
+    describeGroup(items) {
+        return items.length === 1 ? items[0].text : this.describeCount(items.length);
+    }
+
+    // Selected items in the order they are shown: source list first, then lane by lane
+    get selectedItems() {
+        return Array.from(this.dragContainer.querySelectorAll('.draggable-item, .dropped-item'))
+            .map(element => ({ element, item: this.items.get(element.dataset.item) }))
+            .filter(({ element, item }) => item && this.selection.has(item.id) && this.elementOf(item) === element)
+            .map(({ item }) => item);
+    }
+
+    // What moves when `item` is dragged or acted on: the whole selection if it
+    // is part of it, otherwise just the item
+    groupFor(item) {
+        const selected = this.selectedItems;
+        return selected.length > 1 && selected.includes(item) ? selected : [item];
+    }
+
+    draggedGroup(item) {
+        return this.dragGroup.includes(item) ? this.dragGroup : [item];
+    }
+
+    // Ctrl/Cmd-click toggles an item, Shift-click selects the range from the
+    // last toggled one, a plain click clears the selection
+    handleSelectionClick(e) {
+        if (e.target.closest('button')) return;
+        
+        const element = e.target.closest('.draggable-item, .dropped-item');
+        const item = element && this.items.get(element.dataset.item);
+        if (!item || this.elementOf(item) !== element || element.getAttribute('aria-disabled') === 'true') return;
+        
+        clearTimeout(this.selectionClearTimer);
+        if (e.ctrlKey || e.metaKey) {
+            this.toggleSelection(item);
+        } else if (e.shiftKey) {
+            this.selectRange(item);
+        } else if (this.selection.has(item.id)) {
+            // Wait to see whether this starts a double-click, which acts on the
+            // whole selection; a lone click clears it once the wait is over
+            if (e.detail > 1) return;
+            this.selectionClearTimer = setTimeout(() => this.clearSelection(), this.config.doubleClickDelay);
+        } else if (this.selection.size) {
+            this.clearSelection();
+        }
+    }
+
+    // Ctrl+Space and Shift+Space do what Ctrl- and Shift-click do; returns
+    // true when the key was handled
+    handleSelectionKey(e, item) {
+        if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.toggleSelection(item);
+            return true;
+        }
+        if (e.key === ' ' && e.shiftKey) {
+            e.preventDefault();
+            this.selectRange(item);
+            return true;
+        }
+        if (e.key === 'Escape' && this.selection.size) {
+            this.clearSelection();
+            this.announceToScreenReader('Selection cleared');
+            return true;
+        }
+        return false;
+    }
+
+    toggleSelection(item) {
+        if (this.selection.has(item.id)) {
+            this.selection.delete(item.id);
+        } else {
+            this.selection.add(item.id);
+        }
+        this.selectionAnchor = item.id;
+        this.updateSelection();
+        this.announceToScreenReader(`${item.text} ${this.selection.has(item.id) ? 'selected' : 'deselected'}, ${this.describeCount(this.selection.size)} selected`);
+    }
+
+    // Selects everything between the anchor and `item`; both must be in the same list
+    selectRange(item) {
+        const element = this.elementOf(item);
+        const siblings = Array.from(element.parentNode.children)
+            .map(sibling => this.items.get(sibling.dataset.item))
+            .filter(sibling => sibling && (sibling.state === 'source' || sibling.state === 'dropped') &&
+                this.elementOf(sibling).parentNode === element.parentNode);
+        
+        const from = siblings.findIndex(sibling => sibling.id === this.selectionAnchor);
+        if (from === -1) {
+            this.toggleSelection(item);
+            return;
+        }
+        
+        const to = siblings.indexOf(item);
+        siblings.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(sibling => this.selection.add(sibling.id));
+        this.updateSelection();
+        this.announceToScreenReader(`${this.describeCount(this.selection.size)} selected`);
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.selectionAnchor = null;
+        this.updateSelection();
+    }
+
+    // Drops ids of items that can no longer be selected and marks the rest
+    updateSelection() {
+        this.selection.forEach((id) => {
+            const item = this.items.get(id);
+            if (!item || (item.state !== 'source' && item.state !== 'dropped')) {
+                this.selection.delete(id);
+            }
+        });
+        
+        this.dragContainer.querySelectorAll('.draggable-item, .dropped-item').forEach((element) => {
+            const item = this.items.get(element.dataset.item);
+            const selected = Boolean(item) && this.selection.has(item.id) && this.elementOf(item) === element;
+            element.classList.toggle('selected', selected);
+            element.setAttribute('aria-pressed', String(selected));
+        });
+    }
+
+    // Where an item is, as undo history records it
+    placementOf(item) {
+        return { state: item.state, lane: item.lane, position: item.droppedPosition ?? null };
+    }
+
+    // Applies `moves` ([{ item, to }], `to` being a placement) as one undoable step
+    commitMoves(label, moves) {
+        const changes = moves.map(({ item, to }) => ({ id: item.id, before: this.placementOf(item), after: to }));
+        this.applyPlacements(changes, 'after');
+        
+        // Recorded as they turned out, e.g. with the position an append got
+        changes.forEach((change) => {
+            change.after = this.placementOf(this.items.get(change.id));
+        });
+        this.history.record(this.createMoveCommand(label, changes));
         
-        // Update source element
-        this.updateSourceElement(item, true);
+        this.updateCounter();
+        this.saveState();
+    }
+
+    // `changes` are plain data ({ id, before, after } placements), so commands
+    // can be saved and rebuilt with the rest of the state
+    createMoveCommand(label, changes) {
+        return {
+            label,
+            changes,
+            count: changes.length,
+            do: () => this.applyPlacements(changes, 'after'),
+            undo: () => this.applyPlacements(changes, 'before')
+        };
+    }
+
+    // Positions are filled lowest first, counting only cards that aren't
+    // part of the change or are already placed, so each lands where it was recorded
+    applyPlacements(changes, side) {
+        const moves = changes
+            .map(change => ({ item: this.items.get(change.id), placement: change[side] }))
+            .filter(({ item }) => item && item.state !== 'deleted')
+            .sort((a, b) => (a.placement.position ?? 0) - (b.placement.position ?? 0));
+        
+        this.pendingCards = new Set(moves.map(({ item }) => item.droppedElement).filter(Boolean));
+        moves.forEach(({ item, placement }) => {
+            this.pendingCards.delete(item.droppedElement);
+            this.placeItem(item, placement);
+        });
+        this.pendingCards.clear();
+    }
+
+    // Puts an item on the board, in the source list or in the trash, updating
+    // its card and source entry. Records nothing; see commitMoves.
+    placeItem(item, { state, lane = null, position = null }) {
+        const fromLane = item.lane;
+        
+        if (state === 'dropped') {
+            if (item.state === 'removed') {
+                this.restoreSourceElement(item);
+            }
+            item.state = 'dropped';
+            item.lane = lane;
+            if (item.droppedElement) {
+                this.animateCardMoves(() => this.placeCard(item.droppedElement, lane, position));
+            } else {
+                this.animateCardMoves(() => this.createDroppedElement(item, position));
+                this.updateSourceElement(item, true);
+            }
+        } else {
+            if (item.droppedElement) {
+                this.discardCard(item.droppedElement);
+                item.droppedElement = null;
+            }
+            
+            if (state === 'removed') {
+                this.discardSourceElement(item);
+            } else {
+                if (item.state === 'removed') {
+                    this.restoreSourceElement(item);
+                }
+                this.updateSourceElement(item, false);
+            }
+            item.state = state;
+            item.lane = null;
+            item.droppedPosition = null;
+        }
         
-        this.announceToScreenReader(`${item.text} dropped successfully`);
+        item.timestamp = Date.now();
+        this.updateLanePositions(fromLane);
+        this.updateLanePositions(item.lane);
+    }
+
+    undo() {
+        const entry = this.history.undo();
+        if (!entry) {
+            this.announceToScreenReader('Nothing to undo');
+            return;
+        }
         this.updateCounter();
         this.saveState();
+        this.announceToScreenReader(`Undid ${entry.label}`);
     }
 
-    createDroppedElement(item) {
+    redo() {
+        const entry = this.history.redo();
+        if (!entry) {
+            this.announceToScreenReader('Nothing to redo');
+            return;
+        }
+        this.updateCounter();
+        this.saveState();
+        this.announceToScreenReader(`Redid ${entry.label}`);
+    }
+
+    handleHistoryKeys(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    updateHistoryControls() {
+        if (this.undoButton) {
+            const entry = this.history.nextUndo;
+            this.undoButton.disabled = !entry;
+            this.undoButton.title = entry ? `Undo ${entry.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (this.redoButton) {
+            const entry = this.history.nextRedo;
+            this.redoButton.disabled = !entry;
+            this.redoButton.title = entry ? `Redo ${entry.label} (Ctrl+Y)` : 'Nothing to redo';
+        }
+    }
+
+    // Moves a dropped item, with the rest of its selection, to the lane `step`
+    // places to the right (left when negative)
+    moveToAdjacentLane(item, step) {
+        const ids = Array.from(this.lanes.keys());
+        const laneId = ids[ids.indexOf(item.lane) + step];
+        if (!laneId) {
+            this.announceToScreenReader(`${item.text} is already in the ${step > 0 ? 'last' : 'first'} lane`);
+            return;
+        }
+        
+        const group = this.groupFor(item);
+        if (group.length > 1) {
+            this.dropGroup(group, laneId);
+        } else {
+            this.dropItem(item, laneId);
+        }
+    }
+
+    createDroppedElement(item, index = null) {
         const droppedElement = document.createElement('div');
         droppedElement.className = 'dropped-item';
         droppedElement.dataset.item = item.id;
+        droppedElement.dataset.category = item.category;
         droppedElement.setAttribute('tabindex', '0');
         droppedElement.setAttribute('role', 'button');
-        droppedElement.setAttribute('aria-label', `${item.text} - click to remove`);
+        droppedElement.setAttribute('draggable', 'true');
+        droppedElement.setAttribute('aria-label', `${item.text} - Alt+Left/Right move it between lanes, Alt+Up/Down reorder it, Ctrl+Space selects it`);
         
         droppedElement.innerHTML = `
             <div class="dropped-item-content">
@@ -294,36 +937,47 @@ export class DragDrop {
         const removeBtn = droppedElement.querySelector('.remove-btn');
         const returnBtn = droppedElement.querySelector('.return-btn');
         
+        // Like the keys below, the buttons and double-click act on the whole
+        // selection when the card is part of it
         removeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.permanentlyRemoveItem(item);
+            this.removeItems(this.groupFor(item));
         });
         
         returnBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.returnItemToSource(item);
+            this.returnItems(this.groupFor(item));
         });
         
         // Double-click to return
         droppedElement.addEventListener('dblclick', () => {
-            this.returnItemToSource(item);
+            clearTimeout(this.selectionClearTimer);
+            this.returnItems(this.groupFor(item));
         });
         
         // Keyboard support
         droppedElement.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
+            if (this.handleSelectionKey(e, item)) return;
+            
+            if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                e.preventDefault();
+                this.moveToAdjacentLane(item, e.key === 'ArrowRight' ? 1 : -1);
+            } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                this.reorderItem(item, item.droppedPosition + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                this.returnItemToSource(item);
+                this.returnItems(this.groupFor(item));
             } else if (e.key === 'Delete' || e.key === 'Backspace') {
                 e.preventDefault();
-                this.permanentlyRemoveItem(item);
+                this.removeItems(this.groupFor(item));
             }
         });
         
         // Add with animation
         droppedElement.style.opacity = '0';
         droppedElement.style.transform = 'scale(0.8) translateY(-20px)';
-        this.droppedItems.appendChild(droppedElement);
+        this.placeCard(droppedElement, item.lane, index);
         
         requestAnimationFrame(() => {
             droppedElement.style.transition = `all ${this.config.animationDuration}ms ease`;
@@ -334,87 +988,121 @@ export class DragDrop {
         item.droppedElement = droppedElement;
     }
 
-    removeDroppedItem(item) {
-        if (item.state !== 'dropped') return;
-        
+    // Fades a card out and takes it off the board
+    discardCard(card) {
+        card.style.pointerEvents = 'none';
+        card.style.transition = `all ${this.config.animationDuration}ms ease`;
+        card.style.opacity = '0';
+        card.style.transform = 'scale(0.8) translateX(100px)';
         
-        // Animate out
-        const droppedElement = item.droppedElement;
-        if (droppedElement) {
-            droppedElement.style.transition = `all ${this.config.animationDuration}ms ease`;
-            droppedElement.style.opacity = '0';
-            droppedElement.style.transform = 'scale(0.8) translateX(100px)';
-            
-            setTimeout(() => {
-                if (droppedElement.parentNode) {
-                    droppedElement.parentNode.removeChild(droppedElement);
-                }
-            }, this.config.animationDuration);
-        }
+        setTimeout(() => {
+            if (card.parentNode) {
+                card.parentNode.removeChild(card);
+            }
+        }, this.config.animationDuration);
+    }
+
+    // Fades an item's source entry out as it goes to the trash
+    discardSourceElement(item) {
+        const sourceElement = item.element;
+        if (!sourceElement || !sourceElement.parentNode) return;
         
-        // Update state
-        item.state = 'source';
-        item.droppedPosition = null;
-        item.droppedElement = null;
+        sourceElement.style.transition = `all ${this.config.animationDuration}ms ease`;
+        sourceElement.style.opacity = '0';
+        sourceElement.style.transform = 'scale(0.8)';
         
-        // Restore source element
-        this.updateSourceElement(item, false);
+        setTimeout(() => {
+            // It may have been restored in the meantime
+            if (item.state === 'removed' || item.state === 'deleted') {
+                sourceElement.remove();
+            }
+        }, this.config.animationDuration);
+    }
+
+    // Puts an item's source entry back in its original place in the list
+    restoreSourceElement(item) {
+        const sourceElement = item.element;
+        if (!sourceElement) return;
         
-        this.announceToScreenReader(`${item.text} removed from drop zone`);
-        this.updateCounter();
-        this.saveState();
+        const next = Array.from(this.sourceList.querySelectorAll('.draggable-item'))
+            .find(element => element !== sourceElement && this.items.get(element.dataset.item)?.originalIndex > item.originalIndex);
+        this.sourceList.insertBefore(sourceElement, next ?? null);
+        sourceElement.style.transition = '';
+        sourceElement.style.transform = '';
     }
 
+    // Moves an item to the trash, from where it can be restored until the trash is emptied
     permanentlyRemoveItem(item) {
         if (item.state !== 'dropped') return;
         
-        if (!confirm(`Permanently remove "${item.text}"? This cannot be undone.`)) return;
+        this.commitMoves(`removal of ${item.text}`, [{ item, to: { state: 'removed' } }]);
+        this.announceToScreenReader(`${item.text} moved to the trash. Press Ctrl+Z to undo`);
+    }
+
+    returnItemToSource(item) {
+        if (item.state !== 'dropped') return;
         
+        this.commitMoves(`return of ${item.text}`, [{ item, to: { state: 'source' } }]);
+        this.announceToScreenReader(`${item.text} returned to source list`);
+    }
+
+    restoreFromTrash(item) {
+        if (item?.state !== 'removed') return;
         
-        // Animate out
-        const droppedElement = item.droppedElement;
-        if (droppedElement) {
-            droppedElement.style.transition = `all ${this.config.animationDuration}ms ease`;
-            droppedElement.style.opacity = '0';
-            droppedElement.style.transform = 'scale(0.8) translateX(100px)';
-            
-            setTimeout(() => {
-                if (droppedElement.parentNode) {
-                    droppedElement.parentNode.removeChild(droppedElement);
-                }
-            }, this.config.animationDuration);
-        }
+        this.commitMoves(`restore of ${item.text}`, [{ item, to: { state: 'source' } }]);
+        this.announceToScreenReader(`${item.text} restored to the source list`);
+    }
+
+    // The only step that can't be undone: emptied items are gone for good
+    emptyTrash() {
+        const trashed = this.trashedItems;
+        if (trashed.length === 0) return;
         
-        // Permanently remove from source list
-        const sourceElement = item.element;
-        if (sourceElement && sourceElement.parentNode) {
-            sourceElement.style.transition = `all ${this.config.animationDuration}ms ease`;
-            sourceElement.style.opacity = '0';
-            sourceElement.style.transform = 'scale(0.8)';
-            
-            setTimeout(() => {
-                if (sourceElement.parentNode) {
-                    sourceElement.parentNode.removeChild(sourceElement);
-                }
-            }, this.config.animationDuration);
-        }
+        if (!confirm(`Permanently delete ${trashed.length} item${trashed.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
         
-        // Update state to permanently removed
-        item.state = 'removed';
-        item.droppedPosition = null;
-        item.droppedElement = null;
+        const deleted = new Set(trashed.map(item => item.id));
+        trashed.forEach((item) => {
+            item.state = 'deleted';
+            item.element?.remove();
+        });
+        this.history.discard(entry => entry.commands.some(command => command.changes.some(change => deleted.has(change.id))));
         
-        this.announceToScreenReader(`${item.text} permanently removed`);
+        this.announceToScreenReader(`${trashed.length} item${trashed.length === 1 ? '' : 's'} permanently deleted`);
         this.updateCounter();
         this.saveState();
     }
 
-    returnItemToSource(item) {
-        if (item.state !== 'dropped') return;
+    // Most recently removed first
+    get trashedItems() {
+        return Array.from(this.items.values())
+            .filter(item => item.state === 'removed')
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    renderTrash() {
+        if (!this.trashList) return;
         
-        this.removeDroppedItem(item); // This handles the animation and state update
+        const trashed = this.trashedItems;
+        document.getElementById('trash-count').textContent = trashed.length;
+        this.trashPanel.querySelector('.trash-empty').hidden = trashed.length > 0;
+        this.trashPanel.querySelector('#empty-trash-btn').disabled = trashed.length === 0;
         
-        this.announceToScreenReader(`${item.text} returned to source list`);
+        this.trashList.replaceChildren(...trashed.map((item) => {
+            const entry = document.createElement('li');
+            entry.className = 'trash-item';
+            
+            const text = document.createElement('span');
+            text.textContent = item.text;
+            
+            const restore = document.createElement('button');
+            restore.className = 'control-btn restore-btn';
+            restore.dataset.item = item.id;
+            restore.textContent = 'Restore';
+            restore.setAttribute('aria-label', `Restore ${item.text}`);
+            
+            entry.append(text, restore);
+            return entry;
+        }));
     }
 
     updateSourceElement(item, disable) {
@@ -434,26 +1122,124 @@ export class DragDrop {
         }
     }
 
-    getNextDropPosition() {
-        const droppedItems = Array.from(this.items.values())
-            .filter(item => item.state === 'dropped')
-            .length;
-        return droppedItems;
+    // Cards of the items in a lane, in the order shown; cards still animating
+    // out after their item left, or was put back, are skipped
+    laneCards(laneId) {
+        const entry = this.laneElements.get(laneId);
+        if (!entry) return [];
+        
+        return Array.from(entry.list.querySelectorAll('.dropped-item')).filter((card) => {
+            const item = this.items.get(card.dataset.item);
+            return item?.state === 'dropped' && item.lane === laneId && item.droppedElement === card;
+        });
     }
 
-    clearAll() {
-        if (!confirm('Clear all dropped items? This action cannot be undone.')) return;
+    // Puts a card at `index` among the other cards of a lane (last when null)
+    placeCard(card, laneId, index = null) {
+        const others = this.laneCards(laneId).filter(other => other !== card && !this.pendingCards.has(other));
+        const before = index === null ? null : others[index] ?? null;
+        
+        // Moving a focused element blurs it, so keyboard users keep their place
+        const hadFocus = document.activeElement === card;
+        this.laneElements.get(laneId).list.insertBefore(card, before);
+        if (hadFocus) {
+            card.focus();
+        }
+    }
+
+    // Cards of a lane other than those of `items`
+    otherCards(laneId, items) {
+        const cards = new Set(items.map(item => item.droppedElement));
+        return this.laneCards(laneId).filter(card => !cards.has(card));
+    }
+
+    // Where in a lane a pointer at `clientY` would put `items`: before the
+    // first other card whose middle is below it
+    getInsertionIndex(laneId, clientY, items = this.dragGroup) {
+        const others = this.otherCards(laneId, items);
+        const index = others.findIndex((card) => {
+            const rect = card.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+        return index === -1 ? others.length : index;
+    }
+
+    showInsertionCaret(laneId, clientY) {
+        if (!this.config.enableSorting || this.dragGroup.length === 0) return;
+        
+        if (!this.insertionCaret) {
+            this.insertionCaret = document.createElement('div');
+            this.insertionCaret.className = 'drop-caret';
+            this.insertionCaret.setAttribute('aria-hidden', 'true');
+        }
+        
+        const before = this.otherCards(laneId, this.dragGroup)[this.getInsertionIndex(laneId, clientY)] ?? null;
+        const { list } = this.laneElements.get(laneId);
+        // Only touch the DOM when the caret actually moves; dragover fires continuously
+        if (this.insertionCaret.parentNode !== list || this.insertionCaret.nextElementSibling !== before) {
+            list.insertBefore(this.insertionCaret, before);
+        }
+    }
+
+    hideInsertionCaret() {
+        this.insertionCaret?.remove();
+    }
+
+    // Runs `change`, then slides every card that it moved from its old place
+    // to its new one (FLIP: measure, change, invert, play). Cards fading out
+    // are left alone so their exit animation isn't reset.
+    animateCardMoves(change) {
+        const cards = Array.from(this.laneElements.keys()).flatMap(laneId => this.laneCards(laneId));
+        const before = new Map(cards.map(card => [card, card.getBoundingClientRect()]));
+        
+        change();
         
-        Array.from(this.items.values())
-            .filter(item => item.state === 'dropped')
-            .forEach(item => this.removeDroppedItem(item));
+        before.forEach((rect, card) => {
+            if (!card.isConnected) return;
             
-        this.announceToScreenReader('All items cleared from drop zone');
+            const after = card.getBoundingClientRect();
+            const dx = rect.left - after.left;
+            const dy = rect.top - after.top;
+            if (!dx && !dy) return;
+            
+            card.style.transition = 'none';
+            card.style.transform = `translate(${dx}px, ${dy}px)`;
+            card.getBoundingClientRect(); // Applies the offset before transitioning it away
+            card.style.transition = `transform ${this.config.animationDuration}ms ease`;
+            card.style.transform = '';
+            setTimeout(() => {
+                card.style.transition = '';
+            }, this.config.animationDuration);
+        });
+    }
+
+    // Numbers the items of a lane in the order they are shown
+    updateLanePositions(laneId) {
+        this.laneCards(laneId).forEach((card, position) => {
+            this.items.get(card.dataset.item).droppedPosition = position;
+        });
+    }
+
+    clearAll() {
+        const dropped = Array.from(this.items.values()).filter(item => item.state === 'dropped');
+        if (dropped.length === 0) return;
+        
+        this.commitMoves('clearing the board', dropped.map(item => ({ item, to: { state: 'source' } })));
+        this.announceToScreenReader('All items cleared from the board. Press Ctrl+Z to undo');
     }
 
     updateCounter() {
-        const droppedCount = Array.from(this.items.values())
-            .filter(item => item.state === 'dropped').length;
+        const droppedCount = this.droppedCount;
+        
+        this.lanes.forEach((lane, laneId) => {
+            const { zone, count } = this.laneElements.get(laneId);
+            const inLane = this.itemsInLane(laneId).length;
+            count.textContent = lane.capacity === null ? `${inLane}` : `${inLane} / ${lane.capacity}`;
+            zone.classList.toggle('lane-full', lane.capacity !== null && inLane >= lane.capacity);
+            zone.querySelector('.lane-empty').hidden = inLane > 0;
+        });
+        this.renderTrash();
+        this.updateSelection();
             
         const counter = document.getElementById('dropped-count');
         if (counter) {
@@ -474,7 +1260,10 @@ export class DragDrop {
 
     // Touch event handlers
     handleTouchStart(e) {
-        const item = e.target.closest('.draggable-item');
+        // The buttons of dropped items need their taps
+        if (e.target.closest('button')) return;
+        
+        const item = e.target.closest('.draggable-item, .dropped-item');
         if (!item || item.getAttribute('aria-disabled') === 'true') return;
         
         if (e.touches.length === 1) {
@@ -501,10 +1290,11 @@ export class DragDrop {
             deltaTime > this.config.touchHoldDelay) {
             
             this.isDragging = true;
-            this.currentDragItem.element.classList.add('dragging');
-            this.createDragPreview(this.currentDragItem.element);
+            this.dragGroup = this.groupFor(this.currentDragItem);
+            this.dragGroup.forEach(member => this.elementOf(member).classList.add('dragging'));
+            this.createDragPreview(this.elementOf(this.currentDragItem), this.dragGroup.length);
             this.highlightDropZones(true);
-            this.announceToScreenReader(`Started dragging ${this.currentDragItem.text}`);
+            this.announceToScreenReader(`Started dragging ${this.describeGroup(this.dragGroup)}`);
         }
         
         if (this.isDragging && this.dragPreview) {
@@ -514,18 +1304,17 @@ export class DragDrop {
             // Check what's under the touch point
             const elementBelow = document.elementFromPoint(touch.clientX, touch.clientY);
             
-            if (elementBelow) {
-                if (this.dragZone.contains(elementBelow) || elementBelow === this.dragZone) {
-                    this.dragZone.classList.add('drag-over');
-                    this.sourceList.classList.remove('return-target');
-                } else if (this.sourceList.contains(elementBelow) || elementBelow === this.sourceList) {
-                    this.sourceList.classList.add('return-target');
-                    this.dragZone.classList.remove('drag-over');
-                } else {
-                    this.dragZone.classList.remove('drag-over');
-                    this.sourceList.classList.remove('return-target');
-                }
+            const zone = elementBelow?.closest('.drag-lane');
+            this.laneElements.forEach(({ zone: laneZone }) => {
+                laneZone.classList.toggle('drag-over', laneZone === zone);
+            });
+            this.clearRejectedLanes();
+            if (zone && !this.markRejectedLane(zone)) {
+                this.showInsertionCaret(zone.dataset.lane, touch.clientY);
+            } else {
+                this.hideInsertionCaret();
             }
+            this.sourceList.classList.toggle('return-target', Boolean(elementBelow && this.sourceList.contains(elementBelow)));
         }
         
         e.preventDefault();
@@ -540,14 +1329,12 @@ export class DragDrop {
         const touch = e.changedTouches[0];
         const elementBelow = document.elementFromPoint(touch.clientX, touch.clientY);
         
+        const zone = elementBelow?.closest('.drag-lane');
         if (elementBelow) {
-            if (this.dragZone.contains(elementBelow) || elementBelow === this.dragZone) {
-                if (this.canDropItem(this.currentDragItem)) {
-                    this.dropItem(this.currentDragItem);
-                }
-            } else if ((this.sourceList.contains(elementBelow) || elementBelow === this.sourceList) && 
-                       this.currentDragItem.state === 'dropped') {
-                this.returnItemToSource(this.currentDragItem);
+            if (zone) {
+                this.dropAt(this.dragGroup, zone.dataset.lane, touch.clientY);
+            } else if (this.sourceList.contains(elementBelow) || elementBelow === this.sourceList) {
+                this.returnItems(this.dragGroup);
             }
         }
         
@@ -561,13 +1348,17 @@ export class DragDrop {
         
         const itemData = this.items.get(item.dataset.item);
         if (!itemData) return;
+        if (itemData.state === 'source' && this.handleSelectionKey(e, itemData)) return;
         
         switch (e.key) {
             case ' ':
             case 'Enter':
                 e.preventDefault();
                 if (itemData.state === 'source') {
-                    if (this.canDropItem(itemData)) {
+                    const group = this.groupFor(itemData);
+                    if (group.length > 1) {
+                        this.dropGroup(group);
+                    } else if (this.canDropItem(itemData)) {
                         this.dropItem(itemData);
                     }
                 }
@@ -577,7 +1368,7 @@ export class DragDrop {
             case 'Backspace':
                 e.preventDefault();
                 if (itemData.state === 'dropped') {
-                    this.permanentlyRemoveItem(itemData);
+                    this.removeItems(this.groupFor(itemData));
                 }
                 break;
                 
@@ -589,13 +1380,15 @@ export class DragDrop {
     }
 
     // Utility methods
-    createDragPreview(element) {
+    // A group of `count` items shows as a stack with a count badge
+    createDragPreview(element, count = 1) {
         if (this.dragPreview) {
             this.dragPreview.remove();
         }
         
         this.dragPreview = element.cloneNode(true);
         this.dragPreview.classList.add('drag-preview');
+        this.dragPreview.classList.remove('dragging', 'selected');
         this.dragPreview.style.position = 'fixed';
         this.dragPreview.style.pointerEvents = 'none';
         this.dragPreview.style.zIndex = '10000';
@@ -603,21 +1396,37 @@ export class DragDrop {
         this.dragPreview.style.transform = 'rotate(2deg) scale(1.05)';
         this.dragPreview.style.boxShadow = '0 8px 32px rgba(0,0,0,0.3)';
         
+        if (count > 1) {
+            this.dragPreview.classList.add('drag-preview-stack');
+            this.dragPreview.style.boxShadow = '6px 6px 0 -1px #fff, 6px 6px 0 0 rgba(0,0,0,0.15), 12px 12px 0 -1px #fff, 12px 12px 0 0 rgba(0,0,0,0.15), 0 8px 32px rgba(0,0,0,0.3)';
+            
+            const badge = document.createElement('span');
+            badge.className = 'drag-count-badge';
+            badge.textContent = count;
+            this.dragPreview.appendChild(badge);
+        }
+        
         document.body.appendChild(this.dragPreview);
     }
 
     highlightDropZones(highlight) {
         if (highlight) {
-            this.dragZone.classList.add('drop-zone-active');
-            if (this.currentDragItem && this.currentDragItem.state === 'source') {
+            this.laneElements.forEach(({ zone }) => zone.classList.add('drop-zone-active'));
+            if (this.dragGroup.some(item => item.state === 'dropped')) {
                 this.sourceList.classList.add('return-zone-active');
             }
         } else {
-            this.dragZone.classList.remove('drop-zone-active', 'drag-over');
+            this.laneElements.forEach(({ zone }) => zone.classList.remove('drop-zone-active', 'drag-over'));
+            this.clearRejectedLanes();
             this.sourceList.classList.remove('return-zone-active', 'return-target');
         }
     }
 
+    // The element being dragged for an item: its card on the board, or its source entry
+    elementOf(item) {
+        return item.state === 'dropped' && item.droppedElement ? item.droppedElement : item.element;
+    }
+
     animateDropZone(zone) {
         zone.style.transform = 'scale(1.02)';
         setTimeout(() => {
@@ -643,11 +1452,13 @@ export class DragDrop {
 
     render() {
         this.updateCounter();
+        this.updateHistoryControls();
     }
 
     cleanup() {
         this.isDragging = false;
         this.currentDragItem = null;
+        this.dragGroup = [];
         
         if (this.dragPreview) {
             this.dragPreview.remove();
@@ -655,9 +1466,10 @@ export class DragDrop {
         }
         
         this.highlightDropZones(false);
+        this.hideInsertionCaret();
         
         // Remove dragging class from all items
-        this.sourceList.querySelectorAll('.dragging').forEach(item => {
+        this.dragContainer.querySelectorAll('.dragging').forEach(item => {
             item.classList.remove('dragging');
             item.setAttribute('aria-grabbed', 'false');
         });
@@ -666,6 +1478,7 @@ export class DragDrop {
     destroy() {
         this.saveState();
         this.abortController.abort();
+        clearTimeout(this.selectionClearTimer);
         this.cleanup();
         
         // Remove control panel
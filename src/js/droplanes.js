@@ -0,0 +1,49 @@
+// Lanes of the DragDrop board, left to right. A lane has an `id` and a
+// `label`; optional are `capacity` (the most items it holds, null for no
+// limit) and `accept(item, dragDrop)`, which returns false to refuse an item,
+// or a string saying why. An item's `lane` is the lane it is in, or null while
+// it is in the source list.
+//
+// Category rules, applied while `config.enableCategories` is on: `categories`
+// lists the only categories a lane takes, and `quotas` caps how many items of
+// a category it holds, e.g. { urgent: 2 }.
+
+export const DEFAULT_LANES = [
+    { id: 'backlog', label: 'Backlog' },
+    { id: 'in-progress', label: 'In Progress', capacity: 3, quotas: { urgent: 2 } },
+    { id: 'review', label: 'Review', capacity: 3 },
+    // Work is only done once it has been reviewed
+    { id: 'done', label: 'Done', accept: item => item.lane === 'review' }
+];
+
+// Checks the definitions and returns them by id, in board order
+export function defineLanes(definitions = DEFAULT_LANES) {
+    const lanes = new Map();
+    definitions.forEach((definition) => {
+        const { id, capacity = null, accept = null, categories = null, quotas = {} } = definition;
+        if (!id || typeof id !== 'string') {
+            throw new TypeError('A lane needs a string id');
+        }
+        if (capacity !== null && !(Number.isInteger(capacity) && capacity > 0)) {
+            throw new TypeError(`Lane "${id}" needs a positive whole capacity`);
+        }
+        if (accept !== null && typeof accept !== 'function') {
+            throw new TypeError(`Lane "${id}" has an accept rule that isn't a function`);
+        }
+        if (categories !== null && !(Array.isArray(categories) && categories.every(category => typeof category === 'string'))) {
+            throw new TypeError(`Lane "${id}" needs its categories as a list of names`);
+        }
+        if (!Object.values(quotas).every(quota => Number.isInteger(quota) && quota >= 0)) {
+            throw new TypeError(`Lane "${id}" needs whole, non-negative quotas`);
+        }
+        if (lanes.has(id)) {
+            throw new Error(`A lane with id "${id}" is already defined`);
+        }
+
+        lanes.set(id, { label: id, ...definition, capacity, accept, categories, quotas });
+    });
+    if (lanes.size === 0) {
+        throw new Error('The board needs at least one lane');
+    }
+    return lanes;
+}
@@ -0,0 +1,104 @@
+import { parseDay } from './dateutils.js';
+
+// Group-by definitions for VirtualList. Each maps an item to a string group key,
+// orders the keys and turns a key into a header label.
+
+const CATEGORY_ORDER = ['urgent', 'normal', 'low'];
+const VALUE_BUCKETS = [0, 1000, 2500, 5000, 7500, 10000];
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function valueBucket(value) {
+    const number = Number(value) || 0;
+    let bucket = 0;
+    while (bucket + 1 < VALUE_BUCKETS.length && number >= VALUE_BUCKETS[bucket + 1]) bucket++;
+    return bucket;
+}
+
+export const GROUPINGS = {
+    category: {
+        label: 'Category',
+        key: item => String(item.category).toLowerCase(),
+        // Known priorities first, most urgent on top; anything else alphabetically
+        compare: (a, b) => {
+            const rankA = CATEGORY_ORDER.indexOf(a);
+            const rankB = CATEGORY_ORDER.indexOf(b);
+            if (rankA !== -1 || rankB !== -1) {
+                return (rankA === -1 ? Infinity : rankA) - (rankB === -1 ? Infinity : rankB);
+            }
+            return collator.compare(a, b);
+        },
+        describe: key => key.charAt(0).toUpperCase() + key.slice(1)
+    },
+    name: {
+        label: 'Name (first letter)',
+        key: (item) => {
+            const first = String(item.name).trim().charAt(0).toUpperCase();
+            return /[A-Z]/.test(first) ? first : '#';
+        },
+        compare: (a, b) => (a === '#') - (b === '#') || collator.compare(a, b),
+        describe: key => (key === '#' ? 'Other' : key)
+    },
+    value: {
+        label: 'Value range',
+        key: item => String(valueBucket(item.value)),
+        compare: (a, b) => Number(a) - Number(b),
+        describe: (key) => {
+            const bucket = Number(key);
+            const min = VALUE_BUCKETS[bucket];
+            const max = VALUE_BUCKETS[bucket + 1];
+            return max === undefined
+                ? `$${min.toLocaleString()} and over`
+                : `$${min.toLocaleString()} – $${(max - 1).toLocaleString()}`;
+        }
+    },
+    date: {
+        label: 'Date (month)',
+        key: item => (isNaN(parseDay(item.date)) ? '' : String(item.date).slice(0, 7)),
+        // Undated rows last
+        compare: (a, b) => (a === '') - (b === '') || (a < b ? -1 : a > b ? 1 : 0),
+        describe: (key) => {
+            if (!key) return 'No date';
+            const [year, month] = key.split('-').map(Number);
+            return new Date(year, month - 1, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        }
+    }
+};
+
+// Interleaves group header rows with `items` (already in display order), leaving
+// out the items of collapsed groups. Header rows are `{ type: 'group', ... }`.
+export function groupRows(items, column, { collapsed = new Set(), direction = 'asc' } = {}) {
+    const grouping = GROUPINGS[column];
+    if (!grouping) return items;
+
+    const groups = new Map();
+    for (const item of items) {
+        const key = grouping.key(item);
+        let group = groups.get(key);
+        if (!group) {
+            group = { type: 'group', column, key, label: grouping.describe(key), items: [], count: 0, sum: 0 };
+            groups.set(key, group);
+        }
+        group.items.push(item);
+        group.count++;
+        group.sum += Number(item.value) || 0;
+    }
+
+    const sign = direction === 'desc' ? -1 : 1;
+    const ordered = Array.from(groups.values()).sort((a, b) => grouping.compare(a.key, b.key) * sign);
+
+    const rows = [];
+    ordered.forEach(group => {
+        group.collapsed = collapsed.has(group.key);
+        rows.push(group);
+        if (!group.collapsed) {
+            for (const item of group.items) {
+                rows.push(item);
+            }
+        }
+    });
+    return rows;
+}
+
+export function isGroupRow(row) {
+    return row?.type === 'group';
+}
@@ -0,0 +1,81 @@
+// Fenwick (binary indexed) tree over row heights. Offsets and offset-to-index
+// lookups are O(log n), so measuring one row never rescans 100K rows.
+export class HeightIndex {
+    constructor(defaultHeight = 60) {
+        this.defaultHeight = defaultHeight;
+        this.heights = new Float64Array(0);
+        this.tree = new Float64Array(1);
+        this.count = 0;
+    }
+
+    get length() {
+        return this.count;
+    }
+
+    get totalHeight() {
+        return this.offsetOf(this.count);
+    }
+
+    // Rebuilds the tree in O(n) from `getHeight(index)`
+    reset(count, getHeight = () => this.defaultHeight) {
+        this.count = count;
+        this.heights = new Float64Array(count);
+        this.tree = new Float64Array(count + 1);
+
+        for (let i = 0; i < count; i++) {
+            this.heights[i] = getHeight(i);
+            this.tree[i + 1] += this.heights[i];
+
+            const parent = (i + 1) + ((i + 1) & -(i + 1));
+            if (parent <= count) {
+                this.tree[parent] += this.tree[i + 1];
+            }
+        }
+    }
+
+    heightAt(index) {
+        return index >= 0 && index < this.count ? this.heights[index] : this.defaultHeight;
+    }
+
+    setHeight(index, height) {
+        if (index < 0 || index >= this.count) return 0;
+
+        const delta = height - this.heights[index];
+        if (delta === 0) return 0;
+
+        this.heights[index] = height;
+        for (let i = index + 1; i <= this.count; i += i & -i) {
+            this.tree[i] += delta;
+        }
+        return delta;
+    }
+
+    // Sum of the heights of rows [0, index)
+    offsetOf(index) {
+        let sum = 0;
+        for (let i = Math.min(index, this.count); i > 0; i -= i & -i) {
+            sum += this.tree[i];
+        }
+        return sum;
+    }
+
+    // Row containing `offset`, found by descending the tree instead of bisecting offsetOf()
+    indexAt(offset) {
+        if (this.count === 0 || offset <= 0) return 0;
+
+        let position = 0;
+        let remaining = offset;
+        let step = 1;
+        while (step * 2 <= this.count) step *= 2;
+
+        for (; step > 0; step >>= 1) {
+            const next = position + step;
+            if (next <= this.count && this.tree[next] <= remaining) {
+                position = next;
+                remaining -= this.tree[next];
+            }
+        }
+
+        return Math.min(position, this.count - 1);
+    }
+}
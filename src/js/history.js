@@ -0,0 +1,155 @@
+// Undo/redo stack for list mutations. A command is an object with `do()` and
+// `undo()`, plus optional `label`, `count` (rows affected), `size` (rows it keeps
+// alive, for the memory budget) and `coalesceKey`.
+//
+// Commands recorded back to back with the same `coalesceKey` (within
+// `coalesceWindow` ms, when the command sets one) merge into a single entry, so
+// a streamed import or a run of quick deletes undoes in one step.
+export class CommandHistory {
+    constructor({ maxEntries = 100, maxSize = 250000, onChange = null } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxSize = maxSize; // Total rows held by all entries
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.size = 0;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get nextUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    get nextRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Runs the command and records it; returns its history entry
+    execute(command) {
+        command.do();
+        return this.record(command);
+    }
+
+    // Records a command whose effect has already been applied
+    record(command) {
+        const now = Date.now();
+        const top = this.nextUndo;
+
+        this.size -= this.entrySize(this.redoStack);
+        this.redoStack = [];
+
+        let entry;
+        if (top && command.coalesceKey && top.coalesceKey === command.coalesceKey &&
+            (command.coalesceWindow === undefined || now - top.time <= command.coalesceWindow)) {
+            entry = top;
+        } else {
+            entry = this.createEntry(command, now);
+            this.undoStack.push(entry);
+        }
+
+        this.addToEntry(entry, command, now);
+
+        this.trim();
+        this.onChange?.();
+        return entry;
+    }
+
+    // Replaces both stacks with commands whose effects are already applied,
+    // oldest first, e.g. a history restored from storage
+    load(undoCommands = [], redoCommands = []) {
+        const now = Date.now();
+        const toEntry = (command) => {
+            const entry = this.createEntry(command, now);
+            this.addToEntry(entry, command, now);
+            return entry;
+        };
+
+        this.undoStack = undoCommands.map(toEntry);
+        this.redoStack = redoCommands.map(toEntry);
+        this.size = this.entrySize(this.undoStack) + this.entrySize(this.redoStack);
+
+        this.trim();
+        this.onChange?.();
+    }
+
+    // Drops every entry `predicate` returns true for, e.g. ones referring to
+    // data that no longer exists
+    discard(predicate) {
+        this.undoStack = this.undoStack.filter(entry => !predicate(entry));
+        this.redoStack = this.redoStack.filter(entry => !predicate(entry));
+        this.size = this.entrySize(this.undoStack) + this.entrySize(this.redoStack);
+        this.onChange?.();
+    }
+
+    createEntry(command, time) {
+        return {
+            label: command.label || 'change',
+            coalesceKey: command.coalesceKey || null,
+            commands: [],
+            count: 0,
+            size: 0,
+            time
+        };
+    }
+
+    addToEntry(entry, command, time) {
+        entry.commands.push(command);
+        entry.count += command.count ?? 1;
+        entry.size += command.size ?? 0;
+        entry.time = time;
+        this.size += command.size ?? 0;
+    }
+
+    entrySize(entries) {
+        return entries.reduce((total, entry) => total + entry.size, 0);
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        for (let i = entry.commands.length - 1; i >= 0; i--) {
+            entry.commands[i].undo();
+        }
+
+        // An undone entry never merges with whatever is recorded next
+        entry.coalesceKey = null;
+        this.redoStack.push(entry);
+        this.onChange?.();
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        entry.commands.forEach(command => command.do());
+
+        this.undoStack.push(entry);
+        this.onChange?.();
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.size = 0;
+        this.onChange?.();
+    }
+
+    // Drops the oldest entries once over budget; the newest entry is always kept
+    trim() {
+        while (this.undoStack.length > 1 &&
+               (this.undoStack.length > this.maxEntries || this.size > this.maxSize)) {
+            const dropped = this.undoStack.shift();
+            this.size -= dropped.size;
+        }
+    }
+}
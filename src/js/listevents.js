@@ -0,0 +1,86 @@
+// Events and plugin hooks of VirtualList.
+//
+// Events, with the detail their listeners receive:
+// - itemsadded: { items } rows that joined `data` (loads, imports, undone deletes)
+// - itemdeleted: { items } rows that left `data` (deletes, clears, undone adds)
+// - itemedited: { changes: [{ item, before, after }] } field values before and after
+// - filterchange: { searchTerm, count } once a new search has been applied
+// - sortchange: { sort } the sort stack, highest priority first
+// - selectionchange: { count, selection } selection is the list's SelectionModel
+// - rangechange: { start, end, rendered } displayRows positions now rendered
+//
+// Data events fire as soon as `data` holds the change; the view catches up after.
+
+export const LIST_EVENTS = [
+    'itemsadded',
+    'itemdeleted',
+    'itemedited',
+    'filterchange',
+    'sortchange',
+    'selectionchange',
+    'rangechange'
+];
+
+// Optional plugin methods, called with the list first:
+// - install(list) runs on use(); it may return a function that undoes it
+// - beforeRender(list) and afterRender(list, { start, end }) wrap every render
+// - renderItem(list, element, item) runs after a row is filled with its display
+//   cells (not while it is edited). Rows are recycled, so anything added for
+//   one item must be reset for the next.
+// - dataChange(list) runs after every change to `data`, before re-filtering
+export const PLUGIN_HOOKS = ['beforeRender', 'afterRender', 'renderItem', 'dataChange'];
+
+// Only the event types it was created with can be listened to or emitted, so a
+// misspelt name fails loudly instead of never firing. A listener that throws
+// is logged and doesn't stop the others.
+export class EventEmitter {
+    constructor(types) {
+        this.listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    // Returns a function that removes the listener
+    on(type, listener) {
+        this.listenersOf(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const off = this.on(type, (detail) => {
+            off();
+            listener(detail);
+        });
+        return off;
+    }
+
+    off(type, listener) {
+        return this.listenersOf(type).delete(listener);
+    }
+
+    // Lets callers skip building a costly detail nobody listens for
+    hasListeners(type) {
+        return this.listenersOf(type).size > 0;
+    }
+
+    emit(type, detail) {
+        // A copy, so listeners can remove themselves while being called
+        Array.from(this.listenersOf(type)).forEach((listener) => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`"${type}" listener failed:`, error);
+            }
+        });
+    }
+
+    clear() {
+        this.listeners.forEach(listeners => listeners.clear());
+    }
+
+    listenersOf(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) {
+            throw new TypeError(`Unknown event "${type}"`);
+        }
+        return listeners;
+    }
+}
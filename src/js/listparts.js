@@ -0,0 +1,78 @@
+// Elements a VirtualList works with, as VirtualList property -> part name.
+// Parts are found by their `data-list-part` attribute: list parts inside the
+// list's root, toolbar and stats parts inside the `toolbar` and `stats`
+// elements (the root when not given). Every part but the container and the
+// list is optional; the features of missing controls are simply not offered.
+
+export const LIST_PARTS = {
+    container: 'virtual-list-container',
+    listElement: 'virtual-list',
+    headerElement: 'list-header',
+    scrollPositionElement: 'scroll-position',
+    performanceIndicator: 'performance-indicator'
+};
+
+export const TOOLBAR_PARTS = {
+    add100Button: 'add-100-items',
+    add1000Button: 'add-1000-items',
+    add10000Button: 'add-10000-items',
+    add100000Button: 'add-100000-items',
+    clearButton: 'clear-items',
+    exportButton: 'export-items',
+    exportFormatSelect: 'export-format',
+    importButton: 'import-items',
+    importFileInput: 'import-file',
+    importPanel: 'import-panel',
+    undoButton: 'undo-action',
+    redoButton: 'redo-action',
+    searchInput: 'search-input',
+    searchClear: 'search-clear',
+    searchError: 'search-error',
+    viewModeSelect: 'view-mode',
+    groupBySelect: 'group-by',
+    columnMenu: 'column-menu',
+    virtualToggle: 'virtual-toggle',
+    selectionSummary: 'selection-summary',
+    selectAllButton: 'select-all-filtered',
+    selectVisibleButton: 'select-visible',
+    invertSelectionButton: 'invert-selection',
+    clearSelectionButton: 'clear-selection',
+    bulkToolbar: 'bulk-toolbar',
+    bulkStatus: 'bulk-status',
+    bulkCategorySelect: 'bulk-category',
+    bulkValueMode: 'bulk-value-mode',
+    bulkValueAmount: 'bulk-value-amount',
+    bulkDateDays: 'bulk-date-days'
+};
+
+export const STATS_PARTS = {
+    itemCountElement: 'item-count',
+    visibleItemsElement: 'visible-items',
+    filteredCountElement: 'filtered-count',
+    renderTimeElement: 'render-time',
+    scrollSpeedElement: 'scroll-speed',
+    itemsPerSecondElement: 'items-per-second'
+};
+
+// `parts` maps part names to elements, overriding what is found in `scope`
+export function findParts(table, scope, parts = {}) {
+    const found = {};
+    Object.entries(table).forEach(([property, name]) => {
+        found[property] = parts[name] ?? scope?.querySelector(`[data-list-part="${name}"]`) ?? null;
+    });
+    return found;
+}
+
+// The bare list, for roots that don't bring their own markup
+export function createListMarkup(root, label) {
+    const container = document.createElement('div');
+    container.className = 'virtual-list-container';
+    container.dataset.listPart = LIST_PARTS.container;
+    container.innerHTML = `
+        <div class="list-header" role="row" data-list-part="${LIST_PARTS.headerElement}"></div>
+        <div class="virtual-list" role="listbox" tabindex="0" aria-multiselectable="true" data-list-part="${LIST_PARTS.listElement}"></div>
+    `;
+    container.querySelector('.virtual-list').setAttribute('aria-label', label);
+    root.appendChild(container);
+    return container;
+}
@@ -0,0 +1,189 @@
+import { parseQuery, compileQuery } from './searchquery.js';
+import { parseDay } from './dateutils.js';
+
+// Filtering and sorting for VirtualList. The same code runs inside the query
+// worker and, where workers are unavailable, on the main thread.
+
+const QUERY_CHUNK_SIZE = 20000;
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+export function matchesSearch(item, searchLower) {
+    return item.name.toLowerCase().includes(searchLower) ||
+           item.category.toLowerCase().includes(searchLower) ||
+           item.id.toString().includes(searchLower);
+}
+
+// Falls back to a plain substring match when the query does not parse
+export function searchPredicate(searchTerm) {
+    try {
+        const ast = parseQuery(searchTerm);
+        return ast ? compileQuery(ast) : null;
+    } catch (error) {
+        const searchLower = searchTerm.toLowerCase();
+        return item => matchesSearch(item, searchLower);
+    }
+}
+
+function sortKey(column, value) {
+    if (column === 'date') {
+        const time = parseDay(value);
+        return isNaN(time) ? -Infinity : time;
+    }
+    return value ?? '';
+}
+
+function compareKeys(a, b) {
+    if (typeof a === 'string' || typeof b === 'string') {
+        return collator.compare(String(a), String(b));
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Orders positions by each `{ column, direction }` in turn; ties fall back to
+// the original data order so equal rows never shuffle between queries.
+// `comparators` maps a column to a function comparing two items, for columns
+// that don't sort by a plain field (main thread only: functions can't be
+// posted to the worker).
+export function sortIndices(items, indices, sort, comparators = {}) {
+    const levels = sort.map(({ column, direction }) => {
+        const sign = direction === 'desc' ? -1 : 1;
+        const compareItems = comparators[column];
+        if (compareItems) {
+            return { compare: (a, b) => compareItems(items[a], items[b]), sign };
+        }
+
+        const keys = new Array(items.length);
+        indices.forEach(index => {
+            keys[index] = sortKey(column, items[index][column]);
+        });
+        return { compare: (a, b) => compareKeys(keys[a], keys[b]), sign };
+    });
+
+    indices.sort((a, b) => {
+        for (const { compare, sign } of levels) {
+            const result = compare(a, b);
+            if (result !== 0) return result * sign;
+        }
+        return a - b;
+    });
+}
+
+// Yields between chunks so the caller can abandon a stale query; returns the
+// matching positions in `items`, in display order.
+export function* queryIndices(items, { searchTerm = '', sort = [] } = {}) {
+    const matchesQuery = searchPredicate(searchTerm);
+    const matches = new Uint32Array(items.length);
+    let count = 0;
+
+    for (let i = 0; i < items.length; i++) {
+        if (!matchesQuery || matchesQuery(items[i])) {
+            matches[count++] = i;
+        }
+        if (i % QUERY_CHUNK_SIZE === QUERY_CHUNK_SIZE - 1) {
+            yield;
+        }
+    }
+
+    const indices = matches.slice(0, count);
+
+    if (sort.length > 0) {
+        yield;
+        sortIndices(items, indices, sort);
+    }
+
+    return indices;
+}
+
+export function runQuerySync(items, query) {
+    const iterator = queryIndices(items, query);
+    let step = iterator.next();
+    while (!step.done) {
+        step = iterator.next();
+    }
+    return step.value;
+}
+
+// Runs queries in the query worker. Starting a query supersedes the pending one,
+// which resolves to null; results carry the data version they were computed on.
+export class QueryEngine {
+    constructor() {
+        this.worker = null;
+        this.items = [];
+        this.version = -1;
+        this.nextQueryId = 0;
+        this.pending = null;
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./queryworker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+                this.worker.addEventListener('error', (e) => this.fallBackToMainThread(e));
+            } catch (error) {
+                console.warn('Query worker unavailable, filtering on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    // `changes` lists what happened to the data since the last call, as worker
+    // messages ({ type: 'add' | 'remove' | 'insert' | 'update', ... }); only
+    // those are posted, so an edit doesn't copy every row to the worker. Without
+    // them (null) the whole array is sent, for bulk replacements.
+    setData(items, version, changes = null) {
+        this.items = items;
+        this.version = version;
+        if (!this.worker) return;
+
+        if (changes) {
+            changes.forEach(change => this.worker.postMessage({ ...change, version }));
+        } else {
+            this.worker.postMessage({ type: 'data', version, items });
+        }
+    }
+
+    run(query) {
+        const id = ++this.nextQueryId;
+
+        if (this.pending) {
+            this.pending.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            this.pending = { id, query, resolve };
+
+            if (this.worker) {
+                this.worker.postMessage({ type: 'query', id, query });
+            } else {
+                this.resolvePending(id, runQuerySync(this.items, query), this.version);
+            }
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'result') {
+            this.resolvePending(message.id, message.indices, message.version);
+        }
+    }
+
+    resolvePending(id, indices, version) {
+        if (!this.pending || this.pending.id !== id) return;
+
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve({ indices, version });
+    }
+
+    fallBackToMainThread(error) {
+        console.warn('Query worker failed, filtering on the main thread:', error.message || error);
+        this.terminate();
+
+        if (this.pending) {
+            this.resolvePending(this.pending.id, runQuerySync(this.items, this.pending.query), this.version);
+        }
+    }
+
+    terminate() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,177 @@
+// IndexedDB persistence for VirtualList rows and view state.
+//
+// Rows are written in chunks under a numbered generation and the `view` record
+// is switched to the new generation only once every chunk is stored, so a save
+// interrupted by a reload leaves the previous snapshot intact. Edits that keep
+// every row in place rewrite just their chunks of the current generation.
+
+const DB_VERSION = 1;
+const ROWS_STORE = 'rows';
+const STATE_STORE = 'state';
+const VIEW_KEY = 'view';
+
+// MIGRATIONS[n] upgrades a database from version n to n + 1; append new steps
+// here and bump DB_VERSION, never edit a released step
+const MIGRATIONS = [
+    (db) => {
+        db.createObjectStore(ROWS_STORE); // [generation, chunk] -> row[]
+        db.createObjectStore(STATE_STORE); // 'view' -> view state
+    }
+];
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export class ListStore {
+    constructor({ name = 'virtual-list', chunkSize = 5000 } = {}) {
+        this.name = name;
+        this.chunkSize = chunkSize;
+        this.db = null;
+        this.opening = null;
+    }
+
+    get available() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, DB_VERSION);
+
+                request.onupgradeneeded = (e) => {
+                    for (let version = e.oldVersion; version < DB_VERSION; version++) {
+                        MIGRATIONS[version](request.result, request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    // Let a newer version of the page upgrade the schema
+                    this.db.onversionchange = () => this.close();
+                    resolve(this.db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('List storage upgrade is waiting for other tabs to close');
+            });
+        }
+        return this.opening;
+    }
+
+    async loadState() {
+        const db = await this.open();
+        const transaction = db.transaction(STATE_STORE, 'readonly');
+        return (await promisify(transaction.objectStore(STATE_STORE).get(VIEW_KEY))) || null;
+    }
+
+    // Saves the view state, keeping the row snapshot it points at
+    async saveState(state) {
+        const db = await this.open();
+        const transaction = db.transaction(STATE_STORE, 'readwrite');
+        const store = transaction.objectStore(STATE_STORE);
+        const current = await promisify(store.get(VIEW_KEY));
+
+        store.put({
+            ...state,
+            generation: current?.generation ?? 0,
+            rowCount: current?.rowCount ?? 0,
+            chunkCount: current?.chunkCount ?? 0
+        }, VIEW_KEY);
+        return transactionDone(transaction);
+    }
+
+    // Writes `rows` plus `state` as a new snapshot, one chunk per transaction so
+    // the page stays responsive while 100K rows are cloned
+    async saveRows(rows, state) {
+        const db = await this.open();
+        const previous = await this.loadState();
+        const generation = (previous?.generation ?? 0) + 1;
+        const chunkCount = Math.ceil(rows.length / this.chunkSize);
+
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+            const transaction = db.transaction(ROWS_STORE, 'readwrite');
+            const start = chunk * this.chunkSize;
+            transaction.objectStore(ROWS_STORE).put(rows.slice(start, start + this.chunkSize), [generation, chunk]);
+            await transactionDone(transaction);
+            await nextTask();
+        }
+
+        const transaction = db.transaction([ROWS_STORE, STATE_STORE], 'readwrite');
+        transaction.objectStore(STATE_STORE).put({ ...state, generation, rowCount: rows.length, chunkCount }, VIEW_KEY);
+        // Everything outside the new generation is either the old snapshot or
+        // left over from a save that never finished
+        const rowsStore = transaction.objectStore(ROWS_STORE);
+        rowsStore.delete(IDBKeyRange.upperBound([generation], true));
+        rowsStore.delete(IDBKeyRange.lowerBound([generation + 1]));
+        return transactionDone(transaction);
+    }
+
+    // Rewrites the chunks holding the rows at `positions` in the current snapshot,
+    // together with `state`, in one transaction. Only valid while `rows` has the
+    // layout last saved; when most chunks changed a new snapshot is cheaper.
+    async saveEdits(rows, positions, state) {
+        const chunks = new Set(Array.from(positions, position => Math.floor(position / this.chunkSize)));
+        if (chunks.size > Math.ceil(rows.length / this.chunkSize) / 2) {
+            return this.saveRows(rows.slice(), state);
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction([ROWS_STORE, STATE_STORE], 'readwrite');
+        const stateStore = transaction.objectStore(STATE_STORE);
+        const current = await promisify(stateStore.get(VIEW_KEY));
+        const rowsStore = transaction.objectStore(ROWS_STORE);
+
+        chunks.forEach(chunk => {
+            const start = chunk * this.chunkSize;
+            rowsStore.put(rows.slice(start, start + this.chunkSize), [current.generation, chunk]);
+        });
+        stateStore.put({
+            ...state,
+            generation: current.generation,
+            rowCount: current.rowCount,
+            chunkCount: current.chunkCount
+        }, VIEW_KEY);
+        return transactionDone(transaction);
+    }
+
+    // Yields the saved rows chunk by chunk, in order
+    async *readRows(state) {
+        const db = await this.open();
+
+        for (let chunk = 0; chunk < state.chunkCount; chunk++) {
+            const transaction = db.transaction(ROWS_STORE, 'readonly');
+            const rows = await promisify(transaction.objectStore(ROWS_STORE).get([state.generation, chunk]));
+            if (!rows) {
+                throw new Error(`Saved list is incomplete: chunk ${chunk} of ${state.chunkCount} is missing`);
+            }
+            yield rows;
+        }
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([ROWS_STORE, STATE_STORE], 'readwrite');
+        transaction.objectStore(ROWS_STORE).clear();
+        transaction.objectStore(STATE_STORE).clear();
+        return transactionDone(transaction);
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+        this.opening = null;
+    }
+}
@@ -23,10 +23,15 @@ class App {
         }, 100);
         
         setTimeout(() => {
-            this.components.set('virtuallist', new VirtualList());
+            const virtualList = new VirtualList({
+                root: document.getElementById('list-section'),
+                storage: 'virtual-list',
+                deepLink: 'list'
+            });
+            this.components.set('virtuallist', virtualList);
+            this.setupPerformanceTracking(virtualList);
         }, 200);
         
-        this.setupPerformanceTracking();
         this.setupErrorHandling();
         this.setupScrollAnimations();
         
@@ -86,21 +91,14 @@ class App {
         window.addEventListener('scroll', requestParallax, { passive: true });
     }
     
-    setupPerformanceTracking() {
-        const virtualList = this.components.get('virtuallist');
-        if (virtualList && this.performanceMonitor) {
-            // Update rendered items count more frequently
-            setInterval(() => {
-                const stats = virtualList.getStats();
-                this.performanceMonitor.updateRenderedItemsCount(stats.renderedItems);
-            }, 100);
-            
-            // Force initial update
-            setTimeout(() => {
-                const stats = virtualList.getStats();
-                this.performanceMonitor.updateRenderedItemsCount(stats.renderedItems);
-            }, 500);
-        }
+    setupPerformanceTracking(virtualList) {
+        if (!this.performanceMonitor) return;
+        
+        // The list reports each new rendered range, so there is nothing to poll
+        this.performanceMonitor.updateRenderedItemsCount(virtualList.getStats().renderedItems);
+        virtualList.on('rangechange', ({ rendered }) => {
+            this.performanceMonitor.updateRenderedItemsCount(rendered);
+        });
     }
     
     setupErrorHandling() {
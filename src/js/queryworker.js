@@ -0,0 +1,76 @@
+import { queryIndices } from './listquery.js';
+
+// Keeps a copy of the list data and answers filter/sort queries against it.
+// A newer query abandons the current one at the next chunk boundary.
+//
+// The copy is kept in step by the messages QueryEngine.setData posts: `data`
+// replaces it, `add` appends rows, `remove` drops the rows at `positions`
+// (ascending), `insert` puts `items` back at `positions` and `update` assigns
+// `fields` to the rows at their `position`. Rows are addressed by position, as
+// ids need not be unique.
+let items = [];
+let version = -1;
+let latestQueryId = 0;
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// `inserted[i]` lands at `positions[i]` of the result; the rest keep their order
+function mergeAt(rows, positions, inserted) {
+    const merged = new Array(rows.length + inserted.length);
+    let next = 0;
+    let kept = 0;
+    for (let position = 0; position < merged.length; position++) {
+        merged[position] = next < positions.length && positions[next] === position ? inserted[next++] : rows[kept++];
+    }
+    return merged;
+}
+
+async function runQuery(id, query) {
+    const queryVersion = version;
+    const iterator = queryIndices(items, query);
+    let step = iterator.next();
+
+    while (!step.done) {
+        await nextTask();
+        if (id !== latestQueryId) return;
+        step = iterator.next();
+    }
+
+    const indices = step.value;
+    self.postMessage({ type: 'result', id, version: queryVersion, indices }, [indices.buffer]);
+}
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'data':
+            items = message.items;
+            version = message.version;
+            break;
+        case 'add':
+            for (const item of message.items) {
+                items.push(item);
+            }
+            version = message.version;
+            break;
+        case 'remove': {
+            const removed = new Set(message.positions);
+            items = items.filter((item, position) => !removed.has(position));
+            version = message.version;
+            break;
+        }
+        case 'insert':
+            items = mergeAt(items, message.positions, message.items);
+            version = message.version;
+            break;
+        case 'update':
+            message.updates.forEach(({ position, fields }) => Object.assign(items[position], fields));
+            version = message.version;
+            break;
+        case 'query':
+            latestQueryId = message.id;
+            runQuery(message.id, message.query);
+            break;
+    }
+});
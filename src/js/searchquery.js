@@ -0,0 +1,301 @@
+import { parseDay } from './dateutils.js';
+
+// Search box query language for VirtualList:
+//
+//   category:urgent value:>5000 date:<2026-01-01 "fix bug" -refactor
+//
+// Terms are ANDed; `OR` and parentheses group them, `-` negates. Fields take
+// `:value` (contains, or equals for numbers/dates), `:=`, `:>`, `:>=`, `:<`,
+// `:<=` and `:min..max` ranges. Words with any other prefix (`note:`, `http://`)
+// are searched for as plain text.
+
+const FIELD_TYPES = {
+    id: 'number',
+    name: 'text',
+    category: 'text',
+    value: 'number',
+    date: 'date'
+};
+
+export class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+            throw new QuerySyntaxError('Unterminated quote', start);
+        }
+        i = end + 1;
+        return input.slice(start + 1, end);
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, position: i });
+            i++;
+        } else if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: '-', position: i });
+            i++;
+        } else if (ch === '"') {
+            const position = i;
+            tokens.push({ type: 'phrase', value: readQuoted(), position });
+        } else {
+            const position = i;
+            while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+
+            let value = input.slice(position, i);
+            // Quoted field values: name:"fix bug"
+            if (value.endsWith(':') && input[i] === '"') {
+                value += readQuoted();
+            }
+            tokens.push({ type: 'word', value, position });
+        }
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(input) {
+        this.tokens = tokenize(input);
+        this.index = 0;
+        this.inputLength = input.length;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOr(token) {
+        return token?.type === 'word' && token.value === 'OR';
+    }
+
+    parse() {
+        const node = this.parseOr();
+        const extra = this.peek();
+        if (extra) {
+            throw new QuerySyntaxError(`Unexpected "${extra.type === 'word' ? extra.value : extra.type}"`, extra.position);
+        }
+        return node;
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.isOr(this.peek())) {
+            this.next();
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [];
+
+        while (this.peek() && this.peek().type !== ')' && !this.isOr(this.peek())) {
+            children.push(this.parseUnary());
+        }
+
+        if (children.length === 0) {
+            const token = this.peek();
+            throw new QuerySyntaxError('Expected a search term', token ? token.position : this.inputLength);
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case '-':
+                if (!this.peek() || this.peek().type === ')') {
+                    throw new QuerySyntaxError('Nothing to exclude after "-"', token.position);
+                }
+                return { type: 'not', child: this.parseUnary() };
+            case '(': {
+                const node = this.parseOr();
+                if (this.next()?.type !== ')') {
+                    throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+                }
+                return node;
+            }
+            case 'phrase':
+                return { type: 'text', value: token.value.toLowerCase() };
+            default:
+                return this.parseWord(token);
+        }
+    }
+
+    parseWord(token) {
+        const match = token.value.match(/^([a-z]+):(.*)$/i);
+        if (!match) {
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+
+        const field = match[1].toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(FIELD_TYPES, field)) {
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+        const fieldType = FIELD_TYPES[field];
+
+        const [, op = ':', raw] = match[2].match(/^(>=|<=|>|<|=)?(.*)$/);
+        const valuePosition = token.position + match[1].length + 1 + (op === ':' ? 0 : op.length);
+
+        if (raw === '') {
+            throw new QuerySyntaxError(`Missing value for "${field}:"`, valuePosition);
+        }
+
+        if (fieldType === 'text') {
+            if (op !== ':' && op !== '=') {
+                throw new QuerySyntaxError(`"${op}" only works with id, value and date`, valuePosition);
+            }
+            return { type: 'field', field, fieldType, op, value: raw.toLowerCase() };
+        }
+
+        const range = raw.split('..');
+        if (range.length === 2 && op === ':') {
+            return {
+                type: 'field',
+                field,
+                fieldType,
+                op: 'range',
+                min: this.parseValue(range[0], fieldType, valuePosition),
+                max: this.parseValue(range[1], fieldType, valuePosition + range[0].length + 2)
+            };
+        }
+
+        return { type: 'field', field, fieldType, op, value: this.parseValue(raw, fieldType, valuePosition) };
+    }
+
+    parseValue(raw, fieldType, position) {
+        if (fieldType === 'number') {
+            const value = Number(raw.replace(/[$,]/g, ''));
+            if (raw === '' || !Number.isFinite(value)) {
+                throw new QuerySyntaxError(`"${raw}" is not a number`, position);
+            }
+            return value;
+        }
+
+        const value = parseDay(raw);
+        if (isNaN(value)) {
+            throw new QuerySyntaxError(`"${raw}" is not a date (use YYYY-MM-DD)`, position);
+        }
+        return value;
+    }
+}
+
+// Returns the query AST, or null for an empty query. Throws QuerySyntaxError.
+export function parseQuery(input) {
+    if (!input || !input.trim()) return null;
+    return new Parser(input).parse();
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+// Compiles the AST into an `item => boolean` predicate
+export function compileQuery(node) {
+    switch (node.type) {
+        case 'and': {
+            const children = node.children.map(compileQuery);
+            return item => children.every(matches => matches(item));
+        }
+        case 'or': {
+            const children = node.children.map(compileQuery);
+            return item => children.some(matches => matches(item));
+        }
+        case 'not': {
+            const child = compileQuery(node.child);
+            return item => !child(item);
+        }
+        case 'text':
+            return item => item.name.toLowerCase().includes(node.value) ||
+                           item.category.toLowerCase().includes(node.value) ||
+                           item.id.toString().includes(node.value);
+        default:
+            return compileField(node);
+    }
+}
+
+function compileField(node) {
+    const { field, fieldType, op } = node;
+
+    if (fieldType === 'text') {
+        return op === '='
+            ? item => String(item[field]).toLowerCase() === node.value
+            : item => String(item[field]).toLowerCase().includes(node.value);
+    }
+
+    const read = fieldType === 'date'
+        ? item => parseDay(item[field])
+        : item => Number(item[field]);
+
+    if (op === 'range') {
+        return (item) => {
+            const actual = read(item);
+            return actual >= node.min && actual <= node.max;
+        };
+    }
+
+    return item => compare(read(item), op, node.value);
+}
+
+// Regex matching the positive free-text and name terms, for highlighting
+export function highlightPattern(node) {
+    const terms = [];
+
+    const collect = (current, negated) => {
+        if (!current) return;
+
+        switch (current.type) {
+            case 'and':
+            case 'or':
+                current.children.forEach(child => collect(child, negated));
+                break;
+            case 'not':
+                collect(current.child, !negated);
+                break;
+            case 'text':
+                if (!negated) terms.push(current.value);
+                break;
+            case 'field':
+                if (!negated && current.field === 'name') terms.push(current.value);
+                break;
+        }
+    };
+
+    collect(node, false);
+    if (terms.length === 0) return null;
+
+    const alternatives = terms
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(${alternatives.join('|')})`, 'gi');
+}
@@ -0,0 +1,118 @@
+// Selection state for VirtualList, kept by item id so it survives filtering,
+// sorting and row recycling. Set-like (`has`, `add`, `delete`, `clear`, `size`,
+// iteration) plus the range and bulk operations a listbox needs. The anchor is
+// the row Shift+click and Shift+Arrow ranges extend from.
+export class SelectionModel {
+    constructor({ onChange = null } = {}) {
+        this.ids = new Set();
+        this.anchorId = null;
+        this.onChange = onChange;
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    [Symbol.iterator]() {
+        return this.ids.values();
+    }
+
+    notify() {
+        this.onChange?.(this);
+    }
+
+    add(id) {
+        this.ids.add(id);
+        this.notify();
+    }
+
+    delete(id) {
+        const removed = this.ids.delete(id);
+        if (removed) this.notify();
+        return removed;
+    }
+
+    clear() {
+        this.ids.clear();
+        this.anchorId = null;
+        this.notify();
+    }
+
+    replace(ids) {
+        this.ids = new Set(ids);
+        this.notify();
+    }
+
+    // Drops ids for rows that no longer exist
+    retain(existingIds) {
+        let changed = false;
+        this.ids.forEach(id => {
+            if (!existingIds.has(id)) {
+                this.ids.delete(id);
+                changed = true;
+            }
+        });
+        if (this.anchorId !== null && !existingIds.has(this.anchorId)) {
+            this.anchorId = null;
+        }
+        if (changed) this.notify();
+    }
+
+    toggle(id) {
+        if (!this.ids.delete(id)) {
+            this.ids.add(id);
+        }
+        this.anchorId = id;
+        this.notify();
+        return this.ids.has(id);
+    }
+
+    selectOnly(id) {
+        this.ids = new Set([id]);
+        this.anchorId = id;
+        this.notify();
+    }
+
+    // Selects the items between the anchor and `toIndex` in `rows` (inclusive);
+    // without `additive` the range replaces the current selection
+    selectRange(rows, toIndex, { additive = false, isSelectable = () => true } = {}) {
+        let fromIndex = this.anchorId === null ? -1 : rows.findIndex(row => isSelectable(row) && row.id === this.anchorId);
+        if (fromIndex === -1) {
+            fromIndex = toIndex;
+            this.anchorId = rows[toIndex]?.id ?? null;
+        }
+
+        if (!additive) {
+            this.ids = new Set();
+        }
+
+        const start = Math.min(fromIndex, toIndex);
+        const end = Math.max(fromIndex, toIndex);
+        for (let i = start; i <= end; i++) {
+            if (isSelectable(rows[i])) {
+                this.ids.add(rows[i].id);
+            }
+        }
+        this.notify();
+        return end - start + 1;
+    }
+
+    selectAll(items) {
+        items.forEach(item => this.ids.add(item.id));
+        this.notify();
+    }
+
+    // Flips every item in `items`; selected rows outside `items` are left alone
+    invert(items) {
+        items.forEach((item) => {
+            if (!this.ids.delete(item.id)) {
+                this.ids.add(item.id);
+            }
+        });
+        this.notify();
+    }
+}
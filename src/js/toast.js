@@ -0,0 +1,79 @@
+// Non-blocking notifications with an optional action button, e.g. "Undo".
+// Toasts stay up while hovered or focused so the action is never pulled away.
+export class ToastRegion {
+    constructor({ maxToasts = 3, duration = 6000 } = {}) {
+        this.maxToasts = maxToasts;
+        this.duration = duration;
+        this.element = null;
+    }
+
+    ensureElement() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'toast-region';
+            this.element.setAttribute('role', 'status');
+            this.element.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.element);
+        }
+        return this.element;
+    }
+
+    // Returns a handle with `dismiss()`
+    show(message, { actionLabel = null, onAction = null, duration = this.duration } = {}) {
+        const region = this.ensureElement();
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+
+        let timer = null;
+        const dismiss = () => {
+            clearTimeout(timer);
+            toast.remove();
+        };
+        const startTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(dismiss, duration);
+        };
+
+        if (actionLabel && onAction) {
+            const action = document.createElement('button');
+            action.className = 'toast-action';
+            action.textContent = actionLabel;
+            action.addEventListener('click', () => {
+                dismiss();
+                onAction();
+            });
+            toast.appendChild(action);
+        }
+
+        const close = document.createElement('button');
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.textContent = '✕';
+        close.addEventListener('click', dismiss);
+        toast.appendChild(close);
+
+        toast.addEventListener('mouseenter', () => clearTimeout(timer));
+        toast.addEventListener('mouseleave', startTimer);
+        toast.addEventListener('focusin', () => clearTimeout(timer));
+        toast.addEventListener('focusout', startTimer);
+
+        region.appendChild(toast);
+        while (region.children.length > this.maxToasts) {
+            region.firstElementChild.remove();
+        }
+
+        startTimer();
+        return { dismiss };
+    }
+
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+    }
+}
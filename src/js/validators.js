@@ -0,0 +1,60 @@
+import { parseDay, toIsoDay } from './dateutils.js';
+
+// Per-field validation for editable item fields. Each validator takes raw input
+// and returns `{ value }` with the coerced value, or `{ error }`.
+export const FIELD_VALIDATORS = {
+    name(raw) {
+        const value = String(raw ?? '').trim();
+        if (!value) return { error: 'Name is required' };
+        if (value.length > 200) return { error: 'Name must be 200 characters or fewer' };
+        return { value };
+    },
+
+    category(raw) {
+        const value = String(raw ?? '').trim().toLowerCase();
+        if (!value) return { error: 'Category is required' };
+        if (!/^[a-z0-9][a-z0-9 _-]*$/.test(value)) return { error: 'Category may only use letters, numbers, spaces, - and _' };
+        return { value };
+    },
+
+    value(raw) {
+        if (typeof raw === 'number') {
+            return Number.isFinite(raw) ? { value: raw } : { error: 'Value must be a number' };
+        }
+
+        const text = String(raw ?? '').replace(/[$,\s]/g, '');
+        if (text === '') return { error: 'Value is required' };
+
+        const value = Number(text);
+        if (!Number.isFinite(value)) return { error: `"${raw}" is not a number` };
+        return { value };
+    },
+
+    date(raw) {
+        if (raw === null || raw === undefined || raw === '') return { value: '' };
+        if (isNaN(parseDay(raw))) return { error: `"${raw}" is not a valid date` };
+        return { value: toIsoDay(raw) };
+    }
+};
+
+export const EDITABLE_FIELDS = Object.keys(FIELD_VALIDATORS);
+
+// Validates every field in `draft`; `errors` is empty when all values are valid
+export function validateFields(draft) {
+    const values = {};
+    const errors = {};
+
+    Object.keys(draft).forEach(field => {
+        const validate = FIELD_VALIDATORS[field];
+        if (!validate) return;
+
+        const result = validate(draft[field]);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            values[field] = result.value;
+        }
+    });
+
+    return { values, errors };
+}
@@ -0,0 +1,80 @@
+import { escapeHtml, renderItemActions } from './columns.js';
+import { formatDay } from './dateutils.js';
+
+// Row templates for VirtualList view modes. A view has an `id`, a `label` for
+// the view menu, an estimated `itemHeight` and a `layout`:
+//
+// - 'rows': one item per line. Without a `render` the configured columns are
+//   drawn, so header and rows stay aligned.
+// - 'grid': items are cards packed into lines of as many `minItemWidth`-wide
+//   cards as fit, `gap` pixels apart.
+//
+// `render(item, context)` returns the item's inner HTML, escaped like column
+// renderers; `context.highlight(text)` marks search matches. Cells with
+// `data-field` open the inline editor for that field on double-click.
+
+export function renderCard(item, { highlight }) {
+    const category = escapeHtml(item.category);
+    return `
+        <div class="card-header">
+            <span class="item-category ${category}" data-field="category">${category}</span>
+            <span class="item-id">#${escapeHtml(item.id)}</span>
+        </div>
+        <div class="item-name card-title" data-field="name">${highlight(item.name)}</div>
+        <div class="card-footer">
+            <span class="item-value" data-field="value">$${item.value.toLocaleString()}</span>
+            <span class="item-date" data-field="date">${escapeHtml(formatDay(item.date))}</span>
+            <span class="item-actions">${renderItemActions(item)}</span>
+        </div>
+    `;
+}
+
+export const BUILT_IN_VIEWS = [
+    { id: 'list', label: 'List View', layout: 'rows', itemHeight: 60 },
+    { id: 'card', label: 'Card View', layout: 'grid', itemHeight: 140, minItemWidth: 240, gap: 16, render: renderCard },
+    { id: 'compact', label: 'Compact View', layout: 'rows', itemHeight: 40 }
+];
+
+export class ViewRegistry {
+    constructor(views = BUILT_IN_VIEWS) {
+        this.views = new Map();
+        views.forEach(view => this.register(view));
+    }
+
+    register(definition) {
+        const { id, layout = 'rows' } = definition;
+        if (!id || typeof id !== 'string') {
+            throw new TypeError('A view needs a string id');
+        }
+        if (layout !== 'rows' && layout !== 'grid') {
+            throw new TypeError(`View "${id}" has an unknown layout "${layout}"`);
+        }
+        if (layout === 'grid' && typeof definition.render !== 'function') {
+            throw new TypeError(`Grid view "${id}" needs a render function`);
+        }
+        if (this.views.has(id)) {
+            throw new Error(`A view with id "${id}" is already registered`);
+        }
+
+        this.views.set(id, {
+            label: id,
+            itemHeight: 60,
+            minItemWidth: 240,
+            gap: 0,
+            ...definition,
+            layout
+        });
+    }
+
+    unregister(id) {
+        return this.views.delete(id);
+    }
+
+    get(id) {
+        return this.views.get(id) || null;
+    }
+
+    get all() {
+        return Array.from(this.views.values());
+    }
+}
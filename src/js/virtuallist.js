@@ -1,48 +1,125 @@
+import { DemoDataSource, StreamDataSource } from './datasource.js';
+import { HeightIndex } from './heightindex.js';
+import { QueryEngine, sortIndices } from './listquery.js';
+import { parseQuery, highlightPattern, QuerySyntaxError } from './searchquery.js';
+import { FORMATS, EXPORT_FIELDS, detectFormat, readRecords, suggestMapping, coerceRecord, serializeRows } from './dataio.js';
+import { FIELD_VALIDATORS, EDITABLE_FIELDS, validateFields } from './validators.js';
+import { CommandHistory } from './history.js';
+import { ToastRegion } from './toast.js';
+import { ListStore } from './liststore.js';
+import { groupRows, isGroupRow } from './grouping.js';
+import { SelectionModel } from './selection.js';
+import { BULK_EDITS } from './bulkedit.js';
+import { ColumnModel, BUILT_IN_COLUMNS, escapeHtml } from './columns.js';
+import { ViewRegistry, BUILT_IN_VIEWS } from './viewtemplates.js';
+import { EventEmitter, LIST_EVENTS } from './listevents.js';
+import { LIST_PARTS, TOOLBAR_PARTS, STATS_PARTS, findParts, createListMarkup } from './listparts.js';
+
+let listCount = 0;
+const ANCHOR_FALLBACKS = 50; // Rows after the scroll anchor that can stand in for it
+let activeList = null; // The list last focused or clicked, which page-wide shortcuts go to
+
 export class VirtualList {
-    constructor() {
-        this.container = document.getElementById('virtual-list-container');
-        this.listElement = document.getElementById('virtual-list');
-        this.itemCountElement = document.getElementById('item-count');
-        this.visibleItemsElement = document.getElementById('visible-items');
-        this.filteredCountElement = document.getElementById('filtered-count');
-        this.scrollPositionElement = document.getElementById('scroll-position');
-        this.performanceIndicator = document.getElementById('performance-indicator');
-        this.renderTimeElement = document.getElementById('render-time');
-        this.scrollSpeedElement = document.getElementById('scroll-speed');
-        this.itemsPerSecondElement = document.getElementById('items-per-second');
-        
-        // Control elements
-        this.add100Button = document.getElementById('add-100-items');
-        this.add1000Button = document.getElementById('add-1000-items');
-        this.add10000Button = document.getElementById('add-10000-items');
-        this.add100000Button = document.getElementById('add-100000-items');
-        this.clearButton = document.getElementById('clear-items');
-        this.exportButton = document.getElementById('export-items');
-        this.searchInput = document.getElementById('search-input');
-        this.searchClear = document.getElementById('search-clear');
-        this.viewModeSelect = document.getElementById('view-mode');
-        this.virtualToggle = document.getElementById('virtual-toggle');
-        
-        // Verify performance metric elements are available
-        if (!this.renderTimeElement || !this.scrollSpeedElement || !this.itemsPerSecondElement) {
-            console.warn('Some performance metric elements not found');
+    // Options:
+    // - root: element the list lives in; its parts (see listparts.js) are looked
+    //   up inside it, and a bare list is created when it has none
+    // - data: initial rows; columns and views: definitions to start with
+    // - toolbar, stats: elements holding the controls and the counters, when
+    //   they sit outside the root
+    // - parts: elements by part name, for markup without data-list-part
+    // - storage: IndexedDB database to keep rows and view state in; without
+    //   one nothing is saved
+    // - label: accessible name of a created list
+    // - deepLink: key of the URL hash that links to rows, e.g. 'list' for
+    //   #list?item=4821; without one the hash is left alone
+    constructor({
+        root,
+        data = [],
+        columns = BUILT_IN_COLUMNS,
+        views = BUILT_IN_VIEWS,
+        toolbar = root,
+        stats = root,
+        parts = {},
+        storage = null,
+        label = 'Virtual scrolling list',
+        deepLink = null
+    } = {}) {
+        if (!(root instanceof Element)) {
+            throw new TypeError('VirtualList needs a root element');
+        }
+        
+        this.root = root;
+        this.toolbar = toolbar;
+        this.id = `virtual-list-${++listCount}`; // Prefixes the ids given to rows and editor messages
+        Object.assign(this, findParts(LIST_PARTS, root, parts), findParts(TOOLBAR_PARTS, toolbar, parts), findParts(STATS_PARTS, stats, parts));
+        
+        // Removed again on destroy()
+        this.createdContainer = null;
+        if (!this.container) {
+            this.createdContainer = createListMarkup(root, label);
+            Object.assign(this, findParts(LIST_PARTS, root, parts));
         }
         
         // Data and state
-        this.data = [];
+        this.data = Array.from(data);
         this.filteredData = [];
-        this.selectedItems = new Set();
+        this.displayRows = []; // filteredData with group header rows interleaved, when grouped
+        this.groupBy = null;
+        this.collapsedGroups = new Set(); // Group keys
+        this.groupRowIndices = []; // Positions of the header rows in displayRows
+        this.focusedIndex = -1; // Keyboard focus position in displayRows
+        this.selectedItems = new SelectionModel({ onChange: () => this.handleSelectionChange() });
+        this.columns = new ColumnModel({ columns, onChange: () => this.handleColumnsChange() });
+        this.editing = null; // { id, field, draft, errors } for the row being edited inline
         this.searchTerm = '';
-        this.sortColumn = null;
-        this.sortDirection = 'asc';
+        this.highlightPattern = null;
+        this.sortStack = []; // [{ column, direction }], highest priority first
         this.viewMode = 'list';
+        this.views = new ViewRegistry(views);
+        this.dataSource = null;
+        this.loadController = null;
+        this.infinite = null; // { source, threshold, pending, error } while pages load on demand, see setDataSource()
+        this.dataVersion = 0; // Bumped on every change to `data`, so stale query results are dropped
+        this.queryEngine = new QueryEngine();
+        this.queryChanges = null; // Changes to `data` the worker hasn't seen; null resends it all
+        this.history = new CommandHistory({ onChange: () => this.updateHistoryButtons() });
+        this.toasts = new ToastRegion();
+        this.events = new EventEmitter(LIST_EVENTS);
+        this.plugins = new Map(); // name -> { plugin, uninstall }
+        this.appliedSearchTerm = ''; // Search of the last applied query, for filterchange
+        this.emittedRange = { start: -1, end: -1 };
+        this.loadCount = 0; // Numbers each load so its batches coalesce into one undo step
+        this.resolveColumnMapping = null; // Settles the column mapping prompt while it's open
+        this.bulkCount = 0; // Same for the chunks of a bulk edit
+        this.bulkChunkSize = 5000;
+        this.bulkRunning = false;
+        
+        // Persistence
+        this.store = storage ? new ListStore({ name: storage }) : null;
+        this.persistDelay = 1000;
+        this.persistTimer = null;
+        this.persistQueue = Promise.resolve();
+        this.savedVersion = null; // dataVersion of the rows last written to the store
+        this.editedPositions = null; // Rows edited since that save; null once rows were added or removed
+        this.restoring = false;
         
         // Virtual scrolling configuration
-        this.itemHeight = 60; // Increased for new layout
+        this.itemHeight = 60; // Estimated (minimum) row height for the current view mode
+        this.groupHeaderHeight = 44;
+        this.heightIndex = new HeightIndex(this.itemHeight); // One entry per line, see rebuildLines()
+        this.lineStarts = null; // Grid layout: displayRows position where each line starts, plus the end
+        this.itemsPerLine = 1;
+        this.lineGap = 0;
+        this.measuredHeights = new Map(); // item id -> measured row height
+        this.columnWindow = null; // Columns rendered in each row when they don't fit, see updateColumnWindow()
+        this.columnWindowStale = true; // Set when scrolling sideways or resizing can change columnWindow
+        this.headerSpacing = null; // Header padding and column gap, read once per view and size
+        this.tailHeight = 0; // Space below the rows for pages still to load, see updateInfiniteTail()
         this.containerHeight = 450;
         this.visibleStart = 0;
         this.visibleEnd = 0;
         this.scrollTop = 0;
+        this.scrollLeft = 0;
         this.totalHeight = 0;
         this.virtualEnabled = false; // Can be toggled, defaults to show all items
         
@@ -56,8 +133,17 @@ export class VirtualList {
         
         this.renderedItems = new Map();
         this.itemPool = [];
+        this.rowLayouts = new WeakMap(); // Row element -> the cell layout it was built for
+        this.renderedContent = new WeakMap(); // Cell or row element -> the HTML last written into it
+        this.columnsRevision = 0; // Bumped on every column change, so recycled rows rebuild their cells
+        this.metricsTimer = null;
         this.abortController = new AbortController();
         
+        // Deep links, see readDeepLink()
+        this.deepLink = deepLink;
+        this.linkedItemId = this.readDeepLink(); // Row id from the URL, until that row has been shown
+        this.deepLinkTimer = null;
+        
         if (!this.container || !this.listElement) {
             console.error('Virtual List elements not found');
             return;
@@ -70,15 +156,26 @@ export class VirtualList {
         this.setupContainer();
         this.setupEventListeners();
         this.setupKeyboardNavigation();
+        this.setupRowEvents();
         this.syncToggleState(); // Ensure checkbox matches virtualEnabled state
         this.initializePerformanceDisplay(); // Initialize performance metrics display
         this.startPerformanceUpdates(); // Start continuous performance metric updates
+        this.applyColumnTemplate();
+        this.renderHeader();
+        this.renderColumnMenu();
+        this.renderViewOptions();
+        this.applyListClasses();
         this.render();
+        this.updateSelectionBar();
+        if (this.data.length > 0) {
+            this.applyFilters();
+        }
+        this.restoreSavedState();
     }
     
     startPerformanceUpdates() {
         // Update performance metrics regularly
-        setInterval(() => {
+        this.metricsTimer = setInterval(() => {
             this.updatePerformanceMetrics();
             this.updateStats();
         }, 100);
@@ -87,6 +184,24 @@ export class VirtualList {
     setupContainer() {
         this.container.style.position = 'relative';
         
+        // Shows the header of the group scrolled past the top in virtual mode,
+        // where rows are absolutely positioned and can't stick themselves
+        this.stickyGroupHeader = document.createElement('div');
+        this.stickyGroupHeader.className = 'group-sticky-header';
+        this.stickyGroupHeader.hidden = true;
+        this.stickyGroupHeader.addEventListener('click', () => {
+            const key = this.stickyGroupHeader.dataset.key;
+            if (key !== undefined) {
+                this.toggleGroup(key);
+            }
+        }, { signal: this.abortController.signal });
+        this.container.insertBefore(this.stickyGroupHeader, this.listElement);
+        
+        // Skeleton rows or the load error at the end of an infinitely scrolling
+        // list; added to the list while it is loading pages
+        this.infiniteTail = document.createElement('div');
+        this.infiniteTail.className = 'infinite-tail';
+        
         if (this.virtualEnabled) {
             // Virtual mode: fixed height with scroll
             this.container.style.height = `${this.containerHeight}px`;
@@ -127,8 +242,47 @@ export class VirtualList {
             this.clearItems();
         }, { signal: this.abortController.signal });
         
+        this.undoButton?.addEventListener('click', () => {
+            this.undo();
+        }, { signal: this.abortController.signal });
+        
+        this.redoButton?.addEventListener('click', () => {
+            this.redo();
+        }, { signal: this.abortController.signal });
+        
         this.exportButton?.addEventListener('click', () => {
-            this.exportData();
+            this.exportData(this.exportFormatSelect?.value);
+        }, { signal: this.abortController.signal });
+        
+        // Import from the file picker or by dropping a file onto the list
+        this.importButton?.addEventListener('click', () => {
+            this.importFileInput?.click();
+        }, { signal: this.abortController.signal });
+        
+        this.importFileInput?.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            this.importFileInput.value = '';
+            this.importFile(file);
+        }, { signal: this.abortController.signal });
+        
+        this.container.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.container.classList.add('file-drag-over');
+        }, { signal: this.abortController.signal });
+        
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this.container.classList.remove('file-drag-over');
+            }
+        }, { signal: this.abortController.signal });
+        
+        this.container.addEventListener('drop', (e) => {
+            if (!e.dataTransfer?.files.length) return;
+            e.preventDefault();
+            this.container.classList.remove('file-drag-over');
+            this.importFile(e.dataTransfer.files[0]);
         }, { signal: this.abortController.signal });
         
         // Search functionality
@@ -145,21 +299,89 @@ export class VirtualList {
             this.changeViewMode(e.target.value);
         }, { signal: this.abortController.signal });
         
+        // Selection bar
+        this.selectAllButton?.addEventListener('click', () => {
+            this.selectAllFiltered();
+        }, { signal: this.abortController.signal });
+        
+        this.selectVisibleButton?.addEventListener('click', () => {
+            this.selectAllVisible();
+        }, { signal: this.abortController.signal });
+        
+        this.invertSelectionButton?.addEventListener('click', () => {
+            this.invertSelection();
+        }, { signal: this.abortController.signal });
+        
+        this.clearSelectionButton?.addEventListener('click', () => {
+            this.clearSelection();
+        }, { signal: this.abortController.signal });
+        
+        this.bulkToolbar?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) {
+                this.runBulkAction(action);
+            }
+        }, { signal: this.abortController.signal });
+        
+        // Enter in an amount field applies that group's action
+        this.bulkToolbar?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.matches('input')) return;
+            e.preventDefault();
+            e.target.closest('.bulk-group')?.querySelector('[data-action]')?.click();
+        }, { signal: this.abortController.signal });
+        
+        this.groupBySelect?.addEventListener('change', (e) => {
+            this.setGroupBy(e.target.value);
+        }, { signal: this.abortController.signal });
+        
         // Virtual scrolling toggle
         this.virtualToggle?.addEventListener('change', (e) => {
             this.toggleVirtualScrolling(e.target.checked);
         }, { signal: this.abortController.signal });
         
-        // Sorting
-        this.setupSorting();
+        // Column headers: sorting, reordering and resizing
+        this.setupColumnHeader();
+        
+        this.columnMenu?.addEventListener('change', (e) => {
+            const { column, pin } = e.target.dataset;
+            if (column && !this.columns.setVisible(column, e.target.checked)) {
+                e.target.checked = true;
+                this.announceToScreenReader('At least one column must stay visible');
+            } else if (pin && this.columns.setPinned(pin, e.target.checked)) {
+                this.announceToScreenReader(`${this.columns.get(pin).label} column ${e.target.checked ? 'pinned' : 'unpinned'}`);
+            }
+        }, { signal: this.abortController.signal });
+        
+        this.columnMenu?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="reset-columns"]')) {
+                this.columns.reset();
+                this.announceToScreenReader('Columns reset');
+            }
+        }, { signal: this.abortController.signal });
         
         // Scrolling (only for virtual mode)
         this.container.addEventListener('scroll', () => {
             if (this.virtualEnabled) {
                 this.handleScroll();
+            } else if (this.infinite) {
+                this.checkInfiniteLoad();
             }
+            this.schedulePersist();
+            this.scheduleDeepLinkUpdate();
         }, { passive: true, signal: this.abortController.signal });
         
+        if (this.deepLink) {
+            window.addEventListener('hashchange', () => {
+                this.linkedItemId = this.readDeepLink();
+                this.revealLinkedItem();
+            }, { signal: this.abortController.signal });
+        }
+        
+        // Save the latest view state before the page goes away
+        window.addEventListener('pagehide', () => {
+            this.persist();
+        }, { signal: this.abortController.signal });
+        
         // Resize handling
         let resizeTimeout;
         window.addEventListener('resize', () => {
@@ -173,35 +395,141 @@ export class VirtualList {
         document.addEventListener('keydown', (e) => {
             this.handleGlobalKeyboard(e);
         }, { signal: this.abortController.signal });
+        
+        const activate = () => {
+            activeList = this;
+        };
+        activeList ??= this;
+        new Set([this.root, this.toolbar]).forEach((element) => {
+            element?.addEventListener('focusin', activate, { signal: this.abortController.signal });
+            element?.addEventListener('pointerdown', activate, { signal: this.abortController.signal });
+        });
     }
     
     setupKeyboardNavigation() {
         this.listElement.addEventListener('keydown', (e) => {
-            this.handleKeyNavigation(e);
+            const editor = e.target.closest('.cell-editor');
+            if (editor) {
+                this.handleEditorKeydown(e, editor.dataset.field, parseInt(editor.closest('.virtual-item').dataset.index));
+            } else {
+                this.handleKeyNavigation(e);
+            }
         }, { signal: this.abortController.signal });
         
         this.listElement.addEventListener('focus', () => {
-            if (this.data.length > 0 && !this.listElement.querySelector('.virtual-item.focused')) {
+            if (this.displayRows.length > 0 && this.focusedIndex === -1) {
                 this.focusItem(0);
             }
         }, { signal: this.abortController.signal });
     }
     
+    // Rows are recycled, so their events are handled here, once for the whole
+    // list: the row is looked up from its data-index when the event arrives.
+    setupRowEvents() {
+        const list = this.listElement;
+        const signal = this.abortController.signal;
+        
+        list.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="retry-load"]')) {
+                this.loadMore();
+                return;
+            }
+            
+            const row = e.target.closest('.virtual-item');
+            if (!row) return;
+            const index = parseInt(row.dataset.index);
+            
+            if (row.classList.contains('group-header')) {
+                this.focusItem(index);
+                this.toggleGroup(row.dataset.key);
+                return;
+            }
+            
+            const item = this.itemForRow(row);
+            if (!item) return;
+            
+            switch (e.target.closest('[data-action]')?.dataset.action) {
+                case 'edit':
+                    this.editItem(item.id);
+                    break;
+                case 'delete':
+                    this.deleteItem(item.id);
+                    break;
+                case 'save':
+                    this.commitEdit();
+                    break;
+                case 'cancel':
+                    this.cancelEdit();
+                    break;
+                default:
+                    if (!e.target.closest('.item-editor')) {
+                        this.handleRowClick(e, index);
+                    }
+            }
+        }, { signal });
+        
+        // Double-clicking a cell edits that field
+        list.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('[data-field]');
+            const row = cell?.closest('.virtual-item');
+            const item = row && !row.classList.contains('editing') ? this.itemForRow(row) : null;
+            if (item) {
+                this.editItem(item.id, cell.dataset.field);
+            }
+        }, { signal });
+        
+        // The draft lives on `this.editing`, so it survives the row being recycled
+        list.addEventListener('input', (e) => {
+            const input = e.target.closest('.cell-editor');
+            if (!input || !this.editing) return;
+            
+            const field = input.dataset.field;
+            this.editing.draft[field] = input.value;
+            if (this.editing.errors[field]) {
+                this.validateEditorField(input.closest('.virtual-item'), field);
+            }
+        }, { signal });
+        
+        list.addEventListener('change', (e) => {
+            const input = e.target.closest('.cell-editor');
+            if (!input || !this.editing) return;
+            
+            this.editing.draft[input.dataset.field] = input.value;
+            this.validateEditorField(input.closest('.virtual-item'), input.dataset.field);
+        }, { signal });
+        
+        list.addEventListener('focusin', (e) => {
+            const input = e.target.closest('.cell-editor');
+            if (input && this.editing) {
+                this.editing.field = input.dataset.field;
+            }
+        }, { signal });
+    }
+    
+    // The item a rendered row shows, or null if the row is stale
+    itemForRow(row) {
+        const item = this.displayRows[parseInt(row.dataset.index)];
+        return item && !isGroupRow(item) && String(item.id) === row.dataset.id ? item : null;
+    }
+    
     handleKeyNavigation(e) {
-        const focusedItem = this.listElement.querySelector('.virtual-item.focused');
-        if (!focusedItem) return;
+        // Keys typed into an inline editor belong to the editor
+        if (e.target.closest('.item-editor, .infinite-tail')) return;
+        
+        // Tracked by index rather than element: the focused row may be recycled
+        const currentIndex = this.focusedIndex;
+        if (currentIndex < 0 || currentIndex >= this.displayRows.length) return;
         
-        const currentIndex = parseInt(focusedItem.dataset.index);
         let nextIndex = currentIndex;
         
         switch (e.key) {
             case 'ArrowDown':
                 e.preventDefault();
-                nextIndex = Math.min(currentIndex + 1, this.data.length - 1);
+                nextIndex = this.lineNeighbour(currentIndex, 1);
                 break;
             case 'ArrowUp':
                 e.preventDefault();
-                nextIndex = Math.max(currentIndex - 1, 0);
+                nextIndex = this.lineNeighbour(currentIndex, -1);
                 break;
             case 'Home':
                 e.preventDefault();
@@ -209,27 +537,81 @@ export class VirtualList {
                 break;
             case 'End':
                 e.preventDefault();
-                nextIndex = this.data.length - 1;
+                nextIndex = this.displayRows.length - 1;
                 break;
             case 'PageDown':
+            case 'PageUp': {
                 e.preventDefault();
-                const itemsPerPage = Math.floor(this.containerHeight / this.itemHeight);
-                nextIndex = Math.min(currentIndex + itemsPerPage, this.data.length - 1);
+                const step = e.key === 'PageDown' ? 1 : -1;
+                const line = this.lineOf(currentIndex);
+                const target = this.heightIndex.indexAt(this.heightIndex.offsetOf(line) + step * this.containerHeight);
+                nextIndex = this.lineNeighbour(currentIndex, step > 0 ? Math.max(target - line, 1) : Math.min(target - line, -1));
+                break;
+            }
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (isGroupRow(this.displayRows[currentIndex])) {
+                    e.preventDefault();
+                    this.toggleGroup(this.displayRows[currentIndex].key, e.key === 'ArrowLeft');
+                } else if (this.lineStarts) {
+                    // Cards sit side by side, so left and right move between them
+                    e.preventDefault();
+                    const step = e.key === 'ArrowLeft' ? -1 : 1;
+                    nextIndex = Math.max(0, Math.min(this.displayRows.length - 1, currentIndex + step));
+                }
                 break;
-            case 'PageUp':
+            case ' ':
+            case 'F2':
+            case 'Enter': {
+                const row = this.displayRows[currentIndex];
                 e.preventDefault();
-                const itemsPerPageUp = Math.floor(this.containerHeight / this.itemHeight);
-                nextIndex = Math.max(currentIndex - itemsPerPageUp, 0);
+                if (isGroupRow(row)) {
+                    this.toggleGroup(row.key);
+                } else if (e.key !== ' ') {
+                    this.editItem(row.id);
+                } else if (e.shiftKey) {
+                    this.selectRangeTo(currentIndex, e.ctrlKey || e.metaKey);
+                } else {
+                    this.toggleItemSelection(currentIndex);
+                }
+                break;
+            }
+            case 'Escape':
+                if (this.selectedItems.size > 0) {
+                    e.preventDefault();
+                    this.clearSelection();
+                }
                 break;
         }
         
         if (nextIndex !== currentIndex) {
-            this.focusItem(nextIndex);
             this.scrollToItem(nextIndex);
+            this.focusItem(nextIndex);
+            
+            // Shift extends the selection from the anchor; plain moves re-anchor
+            const row = this.displayRows[nextIndex];
+            if (e.shiftKey) {
+                if (this.selectedItems.anchorId === null && !isGroupRow(this.displayRows[currentIndex])) {
+                    this.selectedItems.anchorId = this.displayRows[currentIndex].id;
+                }
+                this.selectRangeTo(nextIndex, e.ctrlKey || e.metaKey);
+            } else if (!isGroupRow(row)) {
+                this.selectedItems.anchorId = row.id;
+            }
         }
     }
     
+    selectRangeTo(index, additive = false) {
+        const count = this.selectedItems.selectRange(this.displayRows, index, {
+            additive,
+            isSelectable: row => row && !isGroupRow(row)
+        });
+        this.announceToScreenReader(`${this.selectedItems.size} items selected`);
+        return count;
+    }
+    
     focusItem(index) {
+        this.focusedIndex = index;
         this.listElement.querySelectorAll('.virtual-item.focused').forEach(item => {
             item.classList.remove('focused');
         });
@@ -237,235 +619,1555 @@ export class VirtualList {
         const item = this.listElement.querySelector(`[data-index="${index}"]`);
         if (item) {
             item.classList.add('focused');
-            item.setAttribute('aria-selected', 'true');
+            if (!item.id) {
+                item.id = `${this.id}-item-${index}`;
+            }
+            this.listElement.setAttribute('aria-activedescendant', item.id);
         }
     }
     
-    scrollToItem(index) {
-        const itemTop = index * this.itemHeight;
-        const itemBottom = itemTop + this.itemHeight;
+    // 'nearest' scrolls just far enough to show the row, 'start' puts it at the top
+    scrollToItem(index, align = 'nearest') {
+        const line = this.lineOf(index);
+        const itemTop = this.heightIndex.offsetOf(line);
+        const itemBottom = itemTop + this.heightIndex.heightAt(line);
         const scrollTop = this.container.scrollTop;
         const scrollBottom = scrollTop + this.containerHeight;
         
-        if (itemTop < scrollTop) {
+        if (align === 'start' ? itemTop !== scrollTop : itemTop < scrollTop) {
             this.container.scrollTop = itemTop;
         } else if (itemBottom > scrollBottom) {
             this.container.scrollTop = itemBottom - this.containerHeight;
+        } else {
+            return;
+        }
+        
+        // Render the target row now rather than on the next scroll event
+        if (this.virtualEnabled) {
+            this.scrollTop = this.container.scrollTop;
+            this.render();
         }
     }
     
-    addItems(count) {
-        const startIndex = this.data.length;
-        const categories = ['urgent', 'normal', 'low'];
-        const names = [
-            'Review Code', 'Fix Bug', 'Update Docs', 'Team Meeting', 'Deploy App',
-            'Write Tests', 'Refactor Code', 'Security Audit', 'Performance Review',
-            'Database Optimization', 'UI Enhancement', 'API Development'
-        ];
+    // Top and bottom of a row, measured from the top of the list: from the
+    // height index in virtual mode, from the rendered row otherwise
+    rowBounds(index) {
+        if (this.virtualEnabled) {
+            const line = this.lineOf(index);
+            const top = this.heightIndex.offsetOf(line);
+            return { top, bottom: top + this.heightIndex.heightAt(line) };
+        }
         
-        console.log(`Adding ${count} items...`);
-        this.renderStartTime = performance.now();
+        // Every row is rendered, in displayRows order
+        const element = this.listElement.children[index];
+        return element ? { top: element.offsetTop, bottom: element.offsetTop + element.offsetHeight } : { top: 0, bottom: 0 };
+    }
+    
+    // The row at the top of the viewport, possibly partly scrolled past
+    topVisibleIndex() {
+        const scrollTop = this.container.scrollTop;
+        if (this.virtualEnabled) {
+            return this.lineStart(this.heightIndex.indexAt(scrollTop));
+        }
         
-        for (let i = 0; i < count; i++) {
-            const index = startIndex + i;
-            const category = categories[i % categories.length];
-            const name = names[i % names.length];
-            
-            this.data.push({
-                id: index + 1,
-                name: `${name} #${index + 1}`,
-                category: category,
-                value: Math.floor(Math.random() * 10000),
-                date: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toLocaleDateString(),
-                selected: false
-            });
+        let low = 0;
+        let high = this.displayRows.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.rowBounds(middle).bottom <= scrollTop) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
         }
+        return low;
+    }
+    
+    // Scroll anchoring: when the rows are filtered, sorted, added or deleted,
+    // the focused row (if on screen) or else the top row stays where it was in
+    // the viewport. Rows are matched by identity, as ids may repeat. At the very
+    // top nothing is anchored, so rows sorted or added to the start show up.
+    captureAnchor() {
+        if (this.displayRows.length === 0) return null;
         
-        this.applyFilters();
-        this.updateTotalHeight();
-        this.updateStats();
-        this.render();
+        const scrollTop = this.container.scrollTop;
+        let index = -1;
+        let focused = false;
+        if (this.focusedIndex >= 0 && this.focusedIndex < this.displayRows.length && !isGroupRow(this.displayRows[this.focusedIndex])) {
+            const { top, bottom } = this.rowBounds(this.focusedIndex);
+            if (bottom > scrollTop && top < scrollTop + this.containerHeight) {
+                index = this.focusedIndex;
+                focused = true;
+            }
+        }
+        if (index === -1) {
+            if (scrollTop <= 0) return null;
+            index = this.topVisibleIndex();
+        }
         
-        const renderTime = performance.now() - this.renderStartTime;
-        console.log(`Added ${count} items in ${renderTime.toFixed(2)}ms`);
+        // The rows after the anchor stand in for it if it is filtered out or deleted
+        const rows = [];
+        for (let i = index; i < this.displayRows.length && rows.length < ANCHOR_FALLBACKS; i++) {
+            if (!isGroupRow(this.displayRows[i])) rows.push(this.displayRows[i]);
+        }
+        if (rows.length === 0) return null;
         
-        // Force immediate performance metrics update
-        this.updatePerformanceMetrics();
+        return { rows, focused, offset: this.rowBounds(index).top - scrollTop };
+    }
+    
+    // Call after the new rows are rendered
+    restoreAnchor(anchor) {
+        if (!anchor) return;
+        
+        const wanted = new Set(anchor.rows);
+        const positions = new Map();
+        this.displayRows.forEach((row, index) => {
+            if (wanted.has(row)) positions.set(row, index);
+        });
         
-        this.announceToScreenReader(`Added ${count} items. Total: ${this.data.length} items.`);
+        // None of them is left, so there is no place to keep
+        const row = anchor.rows.find(candidate => positions.has(candidate));
+        if (!row) {
+            this.scrollListTo(0);
+            return;
+        }
+        
+        const index = positions.get(row);
+        this.scrollListTo(Math.max(0, this.rowBounds(index).top - anchor.offset));
+        if (anchor.focused && row === anchor.rows[0]) {
+            this.focusItem(index);
+        }
     }
     
-    clearItems() {
-        this.data = [];
-        this.renderedItems.clear();
-        this.returnAllItemsToPool();
-        this.updateTotalHeight();
-        this.updateItemCount();
-        this.render();
+    scrollListTo(scrollTop) {
+        if (this.container.scrollTop === scrollTop) return;
         
-        this.announceToScreenReader('All items cleared.');
+        this.container.scrollTop = scrollTop;
+        this.scrollTop = this.container.scrollTop;
+        if (this.virtualEnabled) {
+            this.render();
+        }
     }
     
-    updateTotalHeight() {
-        this.totalHeight = this.filteredData.length * this.itemHeight;
-        this.listElement.style.height = `${this.totalHeight}px`;
+    // With the deepLink option set to 'list', #list?item=4821 links to the row
+    // with id 4821. The row is scrolled to the top once it has loaded, and while
+    // scrolling the hash names the row at the top, so the URL can be shared.
+    readDeepLink() {
+        if (!this.deepLink) return null;
+        
+        const [key, query = ''] = location.hash.slice(1).split('?');
+        if (key !== this.deepLink) return null;
+        return new URLSearchParams(query).get('item');
     }
     
-    updateItemCount() {
-        if (this.itemCountElement) {
-            this.itemCountElement.textContent = `${this.data.length} items`;
-        }
+    revealLinkedItem() {
+        if (this.linkedItemId === null || this.restoring) return;
+        
+        const index = this.displayRows.findIndex(row => !isGroupRow(row) && String(row.id) === this.linkedItemId);
+        if (index === -1) return; // Not loaded (or not matching the search) yet
+        
+        this.linkedItemId = null;
+        this.scrollToItem(index, 'start');
+        this.focusItem(index);
+        this.container.scrollIntoView?.({ block: 'nearest' });
     }
     
-    handleScroll() {
-        this.scrollTop = this.container.scrollTop;
+    scheduleDeepLinkUpdate() {
+        // A link still waiting for its row is left for it to be shown
+        if (!this.deepLink || this.linkedItemId !== null) return;
         
-        requestAnimationFrame(() => {
-            this.render();
-        });
+        clearTimeout(this.deepLinkTimer);
+        this.deepLinkTimer = setTimeout(() => this.updateDeepLink(), 250);
     }
     
-    handleResize() {
-        const containerRect = this.container.getBoundingClientRect();
-        this.containerHeight = containerRect.height;
-        this.render();
+    updateDeepLink() {
+        let index = this.topVisibleIndex();
+        while (index < this.displayRows.length && isGroupRow(this.displayRows[index])) {
+            index++;
+        }
+        const row = this.displayRows[index];
+        if (!row) return;
+        
+        const hash = `#${this.deepLink}?item=${encodeURIComponent(row.id)}`;
+        if (location.hash !== hash) {
+            // Replaced rather than pushed, so scrolling doesn't fill the back button's history
+            history.replaceState(history.state, '', hash);
+        }
     }
     
-    getVisibleRange() {
-        const buffer = Math.ceil(this.containerHeight / this.itemHeight);
+    async addItems(count) {
+        console.log(`Adding ${count} items...`);
+        const startTime = performance.now();
         
-        const start = Math.floor(this.scrollTop / this.itemHeight);
-        const end = Math.min(
-            start + Math.ceil(this.containerHeight / this.itemHeight) + buffer,
-            this.filteredData.length
-        );
+        const source = new DemoDataSource({ count, startId: this.data.length + 1 });
+        await this.loadFrom(source, null, 'Add');
         
-        return {
-            start: Math.max(0, start - buffer),
-            end: end
-        };
+        const renderTime = performance.now() - startTime;
+        console.log(`Added ${count} items in ${renderTime.toFixed(2)}ms`);
+        
+        // Force immediate performance metrics update
+        this.updatePerformanceMetrics();
+        
+        this.announceToScreenReader(`Added ${count} items. Total: ${this.data.length} items.`);
     }
     
-    handleSearch(searchTerm) {
-        this.searchTerm = searchTerm;
+    // Replaces the list's rows with those from `source`. With `infinite` the
+    // source is read a page at a time, whenever the rows in view come within
+    // `threshold` rows of the end; it needs a loadNextPage() method, like
+    // PagedDataSource has.
+    setDataSource(source, { infinite = false, threshold = 20 } = {}) {
+        if (infinite && typeof source.loadNextPage !== 'function') {
+            throw new TypeError('Infinite scrolling needs a source with loadNextPage(), such as PagedDataSource');
+        }
+        
+        this.loadController?.abort();
+        this.loadController = new AbortController();
+        
+        if (!source.signal) {
+            source.signal = this.loadController.signal;
+        }
+        
+        this.dataSource = source;
+        this.data = [];
+        this.queryChanges = null;
+        this.editedPositions = null;
+        this.selectedItems.clear();
+        this.editing = null;
+        this.history.clear(); // A new source replaces the data the history refers to
+        this.infinite = null;
+        if (infinite) {
+            source.reset?.();
+            this.infinite = { source, threshold, pending: false, error: null };
+        }
+        this.markDataChanged();
         this.applyFilters();
-        this.updateTotalHeight();
-        this.updateStats();
-        this.render();
         
-        // Reset scroll position to top
-        this.container.scrollTop = 0;
-        this.scrollTop = 0;
+        return infinite ? this.loadMore() : this.loadFrom(source, this.loadController.signal);
     }
     
-    clearSearch() {
-        if (this.searchInput) {
-            this.searchInput.value = '';
+    // Loads the next page of an infinite source. A page that fails after the
+    // source's retries leaves an error row with a Retry button at the end.
+    async loadMore() {
+        const infinite = this.infinite;
+        if (!infinite || infinite.pending || infinite.source.done) return;
+        
+        infinite.pending = true;
+        infinite.error = null;
+        this.updateInfiniteTail();
+        
+        let rows;
+        try {
+            rows = await infinite.source.loadNextPage();
+        } catch (error) {
+            if (this.infinite !== infinite || error.name === 'AbortError') return;
+            
+            infinite.pending = false;
+            infinite.error = error;
+            console.error('Failed to load the next page:', error);
+            this.announceToScreenReader('Failed to load more items. Use Retry at the end of the list to try again.');
+            this.render();
+            return;
         }
-        this.handleSearch('');
-    }
-    
-    changeViewMode(mode) {
-        this.viewMode = mode;
-        this.listElement.className = `virtual-list view-${mode}`;
         
-        // Adjust item height based on view mode
-        switch (mode) {
-            case 'compact':
-                this.itemHeight = 40;
-                break;
-            case 'card':
-                this.itemHeight = 120;
-                break;
-            default:
-                this.itemHeight = 60;
+        // Stopped or replaced by another source while the page was loading
+        if (this.infinite !== infinite) return;
+        
+        infinite.pending = false;
+        if (infinite.source.done) {
+            this.announceToScreenReader(`All ${this.data.length + rows.length} items loaded`);
+        }
+        if (rows.length === 0) {
+            this.render();
+            return;
         }
         
-        this.updateTotalHeight();
-        this.render();
+        this.createAddCommand(rows, null, null).do();
+        this.renderStartTime = performance.now();
+        this.markDataChanged();
+        await this.applyFilters(); // Renders, which asks for the next page if still near the end
     }
     
-    toggleVirtualScrolling(enabled) {
-        this.virtualEnabled = enabled;
+    stopInfiniteScroll() {
+        this.infinite = null;
+        this.updateInfiniteTail();
+    }
+    
+    // Asks for the next page once the rows in view come within `threshold`
+    // rows of the end of what has loaded
+    checkInfiniteLoad() {
+        const infinite = this.infinite;
+        if (!infinite || infinite.pending || infinite.error || infinite.source.done) return;
         
-        if (enabled) {
-            // Enable virtual scrolling: fixed container height with calculated list height
-            this.container.style.height = `${this.containerHeight}px`;
-            this.container.style.overflow = 'auto';
-            this.container.style.maxHeight = `${this.containerHeight}px`;
-            this.listElement.style.height = `${this.totalHeight}px`;
+        let remaining;
+        if (this.virtualEnabled) {
+            const lastLine = this.heightIndex.indexAt(this.scrollTop + this.containerHeight);
+            remaining = this.displayRows.length - this.lineStart(Math.min(lastLine + 1, this.lineCount));
         } else {
-            // Disable virtual scrolling: fixed container height with auto list height (scrolls internally)
-            this.container.style.height = `${this.containerHeight}px`;
-            this.container.style.overflow = 'auto';
-            this.container.style.maxHeight = `${this.containerHeight}px`;
-            this.listElement.style.height = 'auto';
+            const below = this.container.scrollHeight - this.container.scrollTop - this.container.clientHeight;
+            remaining = below / this.itemHeight;
         }
         
-        this.render();
-        this.announceToScreenReader(`Virtual scrolling ${enabled ? 'enabled' : 'disabled'}`);
-    }
-    
-    setupSorting() {
-        const sortColumns = document.querySelectorAll('.sort-column');
-        sortColumns.forEach(column => {
-            column.addEventListener('click', () => {
-                const sortBy = column.dataset.sort;
-                this.handleSort(sortBy);
-            });
-        });
+        if (remaining <= infinite.threshold) {
+            this.loadMore();
+        }
     }
     
-    handleSort(column) {
-        if (this.sortColumn === column) {
-            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    // The tail below the rows of an infinite list. When the source knows its
+    // total (and no search narrows the rows) the tail keeps room for every row
+    // still to load, so the scrollbar shows the whole list and skeleton rows
+    // fill whatever part of it is in view. Otherwise it only holds a screenful
+    // of skeleton rows while a page loads. Rows are estimated at `itemHeight`.
+    updateInfiniteTail() {
+        const tail = this.infiniteTail;
+        const infinite = this.infinite;
+        if (!tail) return;
+        
+        if (infinite?.pending) {
+            this.listElement.setAttribute('aria-busy', 'true');
         } else {
-            this.sortColumn = column;
-            this.sortDirection = 'asc';
+            this.listElement.removeAttribute('aria-busy');
         }
         
-        // Update UI indicators
-        document.querySelectorAll('.sort-column').forEach(col => {
-            col.classList.remove('sort-asc', 'sort-desc');
-        });
+        const lineHeight = this.itemHeight + this.lineGap;
+        const screenful = Math.ceil(this.containerHeight / lineHeight);
+        let lines = 0;
+        if (infinite?.error) {
+            lines = 1;
+        } else if (infinite && !infinite.source.done) {
+            const total = infinite.source.total;
+            const reserve = this.virtualEnabled && total !== null && !this.searchTerm;
+            lines = reserve
+                ? Math.ceil(Math.max(0, total - this.data.length) / this.itemsPerLine)
+                : (infinite.pending ? screenful : 0);
+        }
         
-        const currentColumn = document.querySelector(`[data-sort="${column}"]`);
-        if (currentColumn) {
-            currentColumn.classList.add(`sort-${this.sortDirection}`);
+        if (lines === 0) {
+            tail.remove();
+            delete tail.dataset.signature;
+            if (this.tailHeight !== 0) {
+                this.tailHeight = 0;
+                this.listElement.style.height = `${this.totalHeight}px`;
+            }
+            return;
         }
         
-        this.applyFilters();
-        this.render();
+        // Only the skeleton rows in view are drawn
+        let first = 0;
+        let count = Math.min(lines, screenful);
+        if (this.virtualEnabled) {
+            first = Math.max(0, Math.min(lines - 1, Math.floor((this.scrollTop - this.totalHeight) / lineHeight)));
+            count = Math.min(lines - first, screenful + 1);
+        }
+        
+        const signature = infinite.error ? `error|${infinite.error.message}` : `${first}|${count}|${lineHeight}`;
+        if (tail.dataset.signature !== signature) {
+            tail.dataset.signature = signature;
+            tail.innerHTML = infinite.error
+                ? `
+                    <div class="infinite-error" style="min-height: ${lineHeight}px">
+                        <span>Couldn't load more items: ${escapeHtml(infinite.error.message)}</span>
+                        <button type="button" class="btn btn-outline" data-action="retry-load">Retry</button>
+                    </div>
+                `
+                : Array.from({ length: count }, (_, i) => `
+                    <div class="skeleton-row" style="top: ${(first + i) * lineHeight}px; height: ${this.itemHeight}px" aria-hidden="true">
+                        <span class="skeleton-bar"></span><span class="skeleton-bar"></span><span class="skeleton-bar"></span>
+                    </div>
+                `).join('');
+        }
+        
+        this.tailHeight = lines * lineHeight;
+        tail.style.top = this.virtualEnabled ? `${this.totalHeight}px` : '';
+        tail.style.height = `${this.tailHeight}px`;
+        // Without virtual scrolling the tail follows the rows in the flow
+        if (tail.parentNode !== this.listElement || (!this.virtualEnabled && tail.nextSibling)) {
+            this.listElement.appendChild(tail);
+        }
+        this.listElement.style.height = `${this.totalHeight + this.tailHeight}px`;
     }
     
-    exportData() {
-        const dataToExport = this.data.map(item => ({
-            id: item.id,
-            name: item.name,
-            category: item.category,
-            value: item.value,
-            date: item.date
-        }));
-        
-        const jsonData = JSON.stringify(dataToExport, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    // Appends every batch from `source`. With a `historyLabel` the whole load
+    // becomes one undo step, however many batches it arrives in. `onBatch` is
+    // called with each batch once it is in the list.
+    async loadFrom(source, signal = null, historyLabel = null, onBatch = null) {
+        const coalesceKey = `load-${++this.loadCount}`;
+        let loaded = 0;
+        
+        try {
+            for await (const batch of source) {
+                if (signal?.aborted) break;
+                
+                const command = this.createAddCommand(batch, historyLabel, coalesceKey);
+                command.do();
+                if (historyLabel) {
+                    this.history.record(command);
+                }
+                loaded += batch.length;
+                onBatch?.(batch);
+                
+                this.renderStartTime = performance.now();
+                this.markDataChanged();
+                await this.applyFilters();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return loaded;
+            
+            console.error('Failed to load data source:', error);
+            this.announceToScreenReader(`Failed to load items. ${loaded} items loaded.`);
+            throw error;
+        }
+        
+        return loaded;
+    }
+    
+    clearItems() {
+        this.loadController?.abort();
+        this.stopInfiniteScroll();
+        if (this.data.length === 0) return;
+        
+        const entry = this.history.execute(this.createClearCommand());
+        this.handleDataMutation();
+        
+        this.showUndoToast(`Cleared ${entry.count} items`);
+        this.announceToScreenReader('All items cleared. Press Ctrl+Z to undo.');
+    }
+    
+    // Commands for the undo history. Rows are tracked by object identity, since
+    // ids are not guaranteed unique across generated and imported data.
+    createAddCommand(rows, label, coalesceKey) {
+        return {
+            label,
+            count: rows.length,
+            size: rows.length,
+            coalesceKey,
+            do: () => {
+                // Push in a loop: spreading 100K rows into push() overflows the stack
+                for (const row of rows) {
+                    this.data.push(row);
+                }
+                this.logRowsMoved({ type: 'add', items: rows });
+                this.emit('itemsadded', { items: rows });
+            },
+            undo: () => {
+                const added = new Set(rows);
+                const positions = [];
+                this.data = this.data.filter((item, position) => {
+                    if (!added.has(item)) return true;
+                    positions.push(position);
+                    return false;
+                });
+                this.logRowsMoved({ type: 'remove', positions });
+                this.emit('itemdeleted', { items: rows });
+            }
+        };
+    }
+    
+    createRemoveCommand(items, label, coalesceKey = null) {
+        const targets = new Set(items);
+        let removed = []; // [position, item] in ascending position order
+        let reselect = [];
+        
+        return {
+            label,
+            count: targets.size,
+            size: targets.size,
+            coalesceKey,
+            coalesceWindow: 2000,
+            do: () => {
+                removed = [];
+                reselect = items.filter(item => this.selectedItems.has(item.id));
+                const kept = [];
+                this.data.forEach((item, position) => {
+                    if (targets.has(item)) {
+                        removed.push([position, item]);
+                    } else {
+                        kept.push(item);
+                    }
+                });
+                this.data = kept;
+                this.logRowsMoved({ type: 'remove', positions: removed.map(([position]) => position) });
+                this.emit('itemdeleted', { items: removed.map(([, item]) => item) });
+            },
+            undo: () => {
+                // Merge the removed rows back into their original positions
+                const restored = new Array(this.data.length + removed.length);
+                let next = 0;
+                let kept = 0;
+                for (let position = 0; position < restored.length; position++) {
+                    if (next < removed.length && removed[next][0] === position) {
+                        restored[position] = removed[next++][1];
+                    } else {
+                        restored[position] = this.data[kept++];
+                    }
+                }
+                this.data = restored;
+                this.logRowsMoved({
+                    type: 'insert',
+                    positions: removed.map(([position]) => position),
+                    items: removed.map(([, item]) => item)
+                });
+                this.selectedItems.selectAll(reselect);
+                this.emit('itemsadded', { items: removed.map(([, item]) => item) });
+            }
+        };
+    }
+    
+    createClearCommand() {
+        let previous = [];
+        
+        return {
+            label: 'Clear',
+            count: this.data.length,
+            size: this.data.length,
+            do: () => {
+                previous = this.data;
+                this.data = [];
+                this.queryChanges = null;
+                this.editedPositions = null;
+                this.emit('itemdeleted', { items: previous });
+            },
+            undo: () => {
+                // Anything added since the clear stays, after the restored rows
+                this.data = previous.concat(this.data);
+                this.queryChanges = null;
+                this.editedPositions = null;
+                this.emit('itemsadded', { items: previous });
+            }
+        };
+    }
+    
+    createUpdateCommand(item, values) {
+        const before = {};
+        Object.keys(values).forEach(field => {
+            before[field] = item[field];
+        });
+        
+        return {
+            label: 'Edit',
+            count: 1,
+            size: 1,
+            do: () => {
+                Object.assign(item, values);
+                this.measuredHeights.delete(item.id);
+                this.logRowEdits([{ item, fields: values }]);
+                this.emit('itemedited', { changes: [{ item, before, after: values }] });
+            },
+            undo: () => {
+                Object.assign(item, before);
+                this.measuredHeights.delete(item.id);
+                this.logRowEdits([{ item, fields: before }]);
+                this.emit('itemedited', { changes: [{ item, before: values, after: before }] });
+            }
+        };
+    }
+    
+    // `changes` is [{ item, before, after }]; coalesces like loads do, so a bulk
+    // edit applied in chunks undoes in one step
+    createBulkUpdateCommand(changes, label, coalesceKey) {
+        return {
+            label,
+            count: changes.length,
+            size: changes.length,
+            coalesceKey,
+            do: () => {
+                changes.forEach(({ item, after }) => {
+                    Object.assign(item, after);
+                    this.measuredHeights.delete(item.id);
+                });
+                this.logRowEdits(changes.map(({ item, after }) => ({ item, fields: after })));
+                this.emit('itemedited', { changes });
+            },
+            undo: () => {
+                changes.forEach(({ item, before }) => {
+                    Object.assign(item, before);
+                    this.measuredHeights.delete(item.id);
+                });
+                this.logRowEdits(changes.map(({ item, before }) => ({ item, fields: before })));
+                if (this.events.hasListeners('itemedited')) {
+                    this.emit('itemedited', { changes: changes.map(({ item, before, after }) => ({ item, before: after, after: before })) });
+                }
+            }
+        };
+    }
+    
+    // Rows were added or removed: the query worker gets `change`, and the next
+    // save writes a new snapshot as saved positions no longer line up
+    logRowsMoved(change) {
+        this.queryChanges?.push(change);
+        this.editedPositions = null;
+    }
+    
+    // Tells the query worker and the next save about edited rows ([{ item, fields }]),
+    // by position
+    logRowEdits(edits) {
+        if (!this.queryChanges && !this.editedPositions) return;
+        
+        // One lookup per edit is fine for a few; bulk edits index the data once
+        let positionOf = item => this.data.indexOf(item);
+        if (edits.length > 8) {
+            const positions = new Map(this.data.map((item, position) => [item, position]));
+            positionOf = item => positions.get(item) ?? -1;
+        }
+        
+        const updates = edits
+            .map(({ item, fields }) => ({ position: positionOf(item), fields: { ...fields } }))
+            .filter(({ position }) => position !== -1);
+        this.queryChanges?.push({ type: 'update', updates });
+        updates.forEach(({ position }) => this.editedPositions?.add(position));
+    }
+    
+    // Brings selection, editing and the view back in line after `data` changed
+    handleDataMutation() {
+        this.selectedItems.retain(new Set(this.data.map(item => item.id)));
+        if (this.editing && !this.data.some(item => item.id === this.editing.id)) {
+            this.editing = null;
+        }
+        
+        this.markDataChanged();
+        this.updateItemCount();
+        return this.applyFilters();
+    }
+    
+    describeHistoryEntry(entry) {
+        return `${entry.label.toLowerCase()} of ${entry.count} ${entry.count === 1 ? 'item' : 'items'}`;
+    }
+    
+    undo() {
+        if (!this.history.canUndo) return;
+        
+        // Don't let an in-flight load keep appending to rows being rolled back
+        this.loadController?.abort();
+        this.cancelEdit();
+        const entry = this.history.undo();
+        this.handleDataMutation();
+        this.announceToScreenReader(`Undid ${this.describeHistoryEntry(entry)}`);
+    }
+    
+    redo() {
+        if (!this.history.canRedo) return;
+        
+        this.cancelEdit();
+        const entry = this.history.redo();
+        this.handleDataMutation();
+        this.announceToScreenReader(`Redid ${this.describeHistoryEntry(entry)}`);
+    }
+    
+    showUndoToast(message) {
+        const entry = this.history.nextUndo;
+        this.undoToast?.dismiss();
+        this.undoToast = this.toasts.show(message, {
+            actionLabel: 'Undo',
+            onAction: () => {
+                // Only undo if this is still the latest change
+                if (this.history.nextUndo === entry) {
+                    this.undo();
+                }
+            }
+        });
+    }
+    
+    updateHistoryButtons() {
+        if (this.undoButton) {
+            const entry = this.history.nextUndo;
+            this.undoButton.disabled = !entry;
+            this.undoButton.title = entry ? `Undo ${this.describeHistoryEntry(entry)} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (this.redoButton) {
+            const entry = this.history.nextRedo;
+            this.redoButton.disabled = !entry;
+            this.redoButton.title = entry ? `Redo ${this.describeHistoryEntry(entry)} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+    
+    updateTotalHeight() {
+        this.heightIndex.defaultHeight = this.itemHeight;
+        this.heightIndex.reset(this.lineCount, (line) => {
+            const start = this.lineStart(line);
+            if (isGroupRow(this.displayRows[start])) return this.groupHeaderHeight;
+            
+            // A line is as tall as its tallest card
+            let height = 0;
+            for (let index = start, end = this.lineStart(line + 1); index < end; index++) {
+                height = Math.max(height, this.measuredHeights.get(this.displayRows[index].id) ?? this.itemHeight);
+            }
+            return height + this.lineGap;
+        });
+        this.totalHeight = this.heightIndex.totalHeight;
+        this.listElement.style.height = `${this.totalHeight + this.tailHeight}px`;
+    }
+    
+    updateItemCount() {
+        if (this.itemCountElement) {
+            this.itemCountElement.textContent = `${this.data.length} items`;
+        }
+    }
+    
+    handleScroll() {
+        this.scrollTop = this.container.scrollTop;
+        if (this.container.scrollLeft !== this.scrollLeft) {
+            this.scrollLeft = this.container.scrollLeft;
+            this.columnWindowStale = true;
+        }
+        
+        requestAnimationFrame(() => {
+            this.render();
+        });
+    }
+    
+    handleResize() {
+        const containerRect = this.container.getBoundingClientRect();
+        this.containerHeight = containerRect.height;
+        
+        // Width changes re-wrap row content, so measured heights are stale
+        this.measuredHeights.clear();
+        this.headerSpacing = null;
+        this.columnWindowStale = true;
+        if (this.updateItemsPerLine()) {
+            this.relayoutRows();
+            return;
+        }
+        this.updateTotalHeight();
+        this.render();
+    }
+    
+    getVisibleRange() {
+        const buffer = Math.ceil(this.containerHeight / this.itemHeight);
+        
+        // Lines in view, widened by the buffer, as displayRows positions
+        const startLine = Math.max(0, this.heightIndex.indexAt(this.scrollTop) - buffer);
+        const lastLine = this.heightIndex.indexAt(this.scrollTop + this.containerHeight);
+        const endLine = Math.min(lastLine + 1 + buffer, this.lineCount);
+        
+        return {
+            start: this.lineStart(startLine),
+            end: this.lineStart(endLine)
+        };
+    }
+    
+    handleSearch(searchTerm) {
+        try {
+            this.highlightPattern = highlightPattern(parseQuery(searchTerm));
+        } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) throw error;
+            
+            // Keep showing the last valid results while the query is incomplete
+            this.showSearchError(error);
+            return;
+        }
+        
+        this.showSearchError(null);
+        this.searchTerm = searchTerm;
+        this.applyFilters();
+        this.schedulePersist();
+    }
+    
+    showSearchError(error) {
+        this.searchInput?.setAttribute('aria-invalid', error ? 'true' : 'false');
+        
+        if (!this.searchError) return;
+        
+        if (error) {
+            this.searchError.textContent = `${error.message} (at character ${error.position + 1})`;
+            this.searchError.hidden = false;
+        } else {
+            this.searchError.textContent = '';
+            this.searchError.hidden = true;
+        }
+    }
+    
+    clearSearch() {
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+        this.handleSearch('');
+    }
+    
+    get currentView() {
+        return this.views.get(this.viewMode) || this.views.get('list');
+    }
+    
+    changeViewMode(mode) {
+        this.viewMode = this.views.get(mode) ? mode : 'list';
+        const view = this.currentView;
+        
+        this.measuredHeights.clear(); // Row heights depend on the view's layout
+        this.headerSpacing = null;
+        this.columnWindowStale = true;
+        this.itemHeight = view.itemHeight;
+        this.lineGap = view.layout === 'grid' ? view.gap : 0;
+        this.applyListClasses();
+        this.updateItemsPerLine();
+        
+        if (this.viewModeSelect) {
+            this.viewModeSelect.value = this.viewMode;
+        }
+        
+        // Every row is redrawn with the new template
+        this.relayoutRows();
+        this.schedulePersist();
+    }
+    
+    // Registers a view mode and adds it to the view menu; see viewtemplates.js
+    registerView(definition) {
+        this.views.register(definition);
+        this.renderViewOptions();
+    }
+    
+    renderViewOptions() {
+        if (!this.viewModeSelect) return;
+        
+        this.viewModeSelect.innerHTML = this.views.all
+            .map(view => `<option value="${escapeHtml(view.id)}">${escapeHtml(view.label)}</option>`)
+            .join('');
+        this.viewModeSelect.value = this.viewMode;
+    }
+    
+    applyListClasses() {
+        const view = this.currentView;
+        this.listElement.className = `virtual-list view-${view.id} layout-${view.layout}${this.virtualEnabled ? ' virtualized' : ''}`;
+        this.listElement.style.setProperty('--card-min-width', `${view.minItemWidth}px`);
+        this.listElement.style.setProperty('--card-gap', `${view.gap}px`);
+    }
+    
+    // Cards per line in grid layout, from the list's current width. Returns
+    // true when it changed, since lines then have to be rebuilt.
+    updateItemsPerLine() {
+        const view = this.currentView;
+        let perLine = 1;
+        if (view.layout === 'grid') {
+            const width = this.listElement.clientWidth;
+            perLine = Math.max(1, Math.floor((width + view.gap) / (view.minItemWidth + view.gap)));
+        }
+        
+        const changed = perLine !== this.itemsPerLine;
+        this.itemsPerLine = perLine;
+        return changed;
+    }
+    
+    // Splits displayRows into lines, the unit the height index and scrolling
+    // work in. In rows layout every row is a line and `lineStarts` stays null;
+    // in grid layout items are packed `itemsPerLine` to a line and each group
+    // header gets a line of its own.
+    rebuildLines() {
+        if (this.currentView.layout !== 'grid') {
+            this.lineStarts = null;
+            return;
+        }
+        
+        const starts = [];
+        let inLine = this.itemsPerLine;
+        this.displayRows.forEach((row, index) => {
+            if (isGroupRow(row)) {
+                starts.push(index);
+                inLine = this.itemsPerLine; // The next item starts a fresh line
+            } else if (inLine >= this.itemsPerLine) {
+                starts.push(index);
+                inLine = 1;
+            } else {
+                inLine++;
+            }
+        });
+        starts.push(this.displayRows.length);
+        this.lineStarts = Uint32Array.from(starts);
+    }
+    
+    get lineCount() {
+        return this.lineStarts ? this.lineStarts.length - 1 : this.displayRows.length;
+    }
+    
+    // displayRows position of the first row on `line`; lineCount gives the end
+    lineStart(line) {
+        return this.lineStarts ? this.lineStarts[line] : line;
+    }
+    
+    lineOf(index) {
+        if (!this.lineStarts) return index;
+        
+        let low = 0;
+        let high = this.lineStarts.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= index) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+    
+    // Same column on the line `step` lines away, clamped to that line's length
+    lineNeighbour(index, step) {
+        const line = this.lineOf(index);
+        const target = Math.max(0, Math.min(this.lineCount - 1, line + step));
+        if (target === line) return index;
+        
+        const column = index - this.lineStart(line);
+        return Math.min(this.lineStart(target) + column, this.lineStart(target + 1) - 1);
+    }
+    
+    toggleVirtualScrolling(enabled) {
+        this.virtualEnabled = enabled;
+        this.columnWindowStale = true;
+        this.applyListClasses();
+        
+        // Rows from the previous mode are positioned differently; start from a clean list
+        this.returnAllItemsToPool();
+        this.listElement.innerHTML = '';
+        
+        if (enabled) {
+            // Enable virtual scrolling: fixed container height with calculated list height
+            this.container.style.height = `${this.containerHeight}px`;
+            this.container.style.overflow = 'auto';
+            this.container.style.maxHeight = `${this.containerHeight}px`;
+            this.listElement.style.height = `${this.totalHeight}px`;
+        } else {
+            // Disable virtual scrolling: fixed container height with auto list height (scrolls internally)
+            this.container.style.height = `${this.containerHeight}px`;
+            this.container.style.overflow = 'auto';
+            this.container.style.maxHeight = `${this.containerHeight}px`;
+            this.listElement.style.height = 'auto';
+        }
+        
+        this.render();
+        this.schedulePersist();
+        this.announceToScreenReader(`Virtual scrolling ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    // One set of listeners on the header element; the header cells themselves
+    // are rebuilt whenever the columns change
+    setupColumnHeader() {
+        const header = this.headerElement;
+        if (!header) return;
+        const signal = this.abortController.signal;
+        
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.column-resize-handle')) return;
+            const cell = e.target.closest('.sort-column');
+            if (cell) {
+                this.handleSort(cell.dataset.sort, e.shiftKey);
+            }
+        }, { signal });
+        
+        // Enter/Space sort, Alt+Arrow moves the column, Alt+Shift+Arrow resizes it
+        header.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('.list-column');
+            if (!cell) return;
+            const id = cell.dataset.column;
+            
+            if ((e.key === 'Enter' || e.key === ' ') && cell.dataset.sort) {
+                e.preventDefault();
+                this.handleSort(cell.dataset.sort, e.shiftKey);
+            } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowLeft' ? -1 : 1;
+                if (e.shiftKey) {
+                    this.columns.resize(id, cell.offsetWidth + step * 10);
+                    this.announceToScreenReader(`${this.columns.get(id).label} column width ${this.columns.widthOf(id)} pixels`);
+                } else {
+                    this.moveColumn(id, step);
+                }
+                // The header was re-rendered; keep focus on the same column
+                Array.from(this.headerElement.children).find(headerCell => headerCell.dataset.column === id)?.focus();
+            }
+        }, { signal });
+        
+        // Drag a header onto another to reorder; the drop side follows the pointer
+        header.addEventListener('dragstart', (e) => {
+            const cell = e.target.closest('.list-column');
+            if (!cell) return;
+            this.draggedColumn = cell.dataset.column;
+            cell.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/x-list-column', this.draggedColumn);
+        }, { signal });
+        
+        header.addEventListener('dragover', (e) => {
+            const cell = e.target.closest('.list-column');
+            if (!this.draggedColumn || !cell) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            
+            const rect = cell.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            this.clearColumnDropIndicator();
+            if (cell.dataset.column !== this.draggedColumn) {
+                cell.classList.add(after ? 'drop-after' : 'drop-before');
+            }
+        }, { signal });
+        
+        header.addEventListener('drop', (e) => {
+            const cell = e.target.closest('.list-column');
+            const dragged = this.draggedColumn;
+            if (!dragged || !cell) return;
+            e.preventDefault();
+            
+            const after = cell.classList.contains('drop-after');
+            const order = this.columns.columns.map(column => column.id);
+            const from = order.indexOf(dragged);
+            let to = order.indexOf(cell.dataset.column) + (after ? 1 : 0);
+            if (from < to) to--;
+            
+            this.clearColumnDropIndicator();
+            if (this.columns.move(dragged, to)) {
+                this.announceToScreenReader(`${this.columns.get(dragged).label} column moved`);
+            }
+        }, { signal });
+        
+        header.addEventListener('dragend', () => {
+            this.draggedColumn = null;
+            this.clearColumnDropIndicator();
+            header.querySelector('.dragging')?.classList.remove('dragging');
+        }, { signal });
+        
+        // Dragging a header edge resizes the column. Only the grid template is
+        // updated while dragging; rows are re-measured once it's released.
+        header.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.column-resize-handle');
+            if (!handle || e.button !== 0) return;
+            e.preventDefault();
+            
+            const cell = handle.closest('.list-column');
+            const id = cell.dataset.column;
+            const startX = e.clientX;
+            const startWidth = cell.offsetWidth;
+            handle.setPointerCapture?.(e.pointerId);
+            cell.classList.add('resizing');
+            
+            const onMove = (moveEvent) => {
+                this.columns.resize(id, startWidth + moveEvent.clientX - startX, { silent: true });
+                this.updateColumnWindow();
+                this.applyColumnTemplate();
+            };
+            const onUp = () => {
+                handle.removeEventListener('pointermove', onMove);
+                handle.removeEventListener('pointerup', onUp);
+                handle.removeEventListener('pointercancel', onUp);
+                cell.classList.remove('resizing');
+                this.columns.notify();
+            };
+            handle.addEventListener('pointermove', onMove);
+            handle.addEventListener('pointerup', onUp);
+            handle.addEventListener('pointercancel', onUp);
+        }, { signal });
+    }
+    
+    clearColumnDropIndicator() {
+        this.headerElement?.querySelectorAll('.drop-before, .drop-after').forEach(cell => {
+            cell.classList.remove('drop-before', 'drop-after');
+        });
+    }
+    
+    moveColumn(id, step) {
+        const order = this.columns.columns.map(column => column.id);
+        if (this.columns.move(id, order.indexOf(id) + step)) {
+            const position = this.columns.columns.findIndex(column => column.id === id) + 1;
+            this.announceToScreenReader(`${this.columns.get(id).label} column moved to position ${position} of ${order.length}`);
+        }
+    }
+    
+    // Registers a custom column; see columns.js for the definition format
+    registerColumn(definition) {
+        this.columns.register(definition);
+    }
+    
+    applyColumnTemplate() {
+        const columnWindow = this.columnWindow;
+        this.container.style.setProperty('--list-columns', columnWindow?.template ?? this.columns.gridTemplate);
+        this.container.classList.toggle('wide-columns', Boolean(columnWindow));
+        
+        // Wide rows are laid out at full width and the container scrolls sideways
+        const width = columnWindow ? `${columnWindow.rowWidth}px` : '';
+        this.listElement.style.width = width;
+        if (this.headerElement) {
+            this.headerElement.style.width = width;
+        }
+    }
+    
+    // Columns that don't fit the container are laid out in pixels, with the
+    // pinned ones first. In virtual mode only the columns scrolled into view
+    // (plus one either side) are rendered; spacer tracks stand in for the rest,
+    // so the cells keep their place in the grid. Returns true when the
+    // rendered columns changed and rows need redrawing.
+    updateColumnWindow() {
+        const previous = this.columnWindow;
+        this.columnWindow = this.computeColumnWindow();
+        // A hidden list has no width yet; look again on the next render
+        this.columnWindowStale = this.container.clientWidth === 0;
+        return (previous?.key ?? '') !== (this.columnWindow?.key ?? '');
+    }
+    
+    computeColumnWindow() {
+        const view = this.currentView;
+        if (view.layout !== 'rows' || view.render || !this.headerElement) return null;
+        
+        // Reading computed style forces a style recalc, so it's cached
+        if (!this.headerSpacing) {
+            const style = getComputedStyle(this.headerElement);
+            const paddingLeft = parseFloat(style.paddingLeft) || 0;
+            this.headerSpacing = {
+                paddingLeft,
+                padding: paddingLeft + (parseFloat(style.paddingRight) || 0),
+                gap: parseFloat(style.columnGap) || 0
+            };
+        }
+        const { paddingLeft, padding, gap } = this.headerSpacing;
+        const viewport = this.container.clientWidth;
+        const { columns, totalWidth } = this.columns.geometry(viewport - padding, gap);
+        if (viewport === 0 || totalWidth <= viewport - padding) return null;
+        
+        const pinned = columns.filter(entry => entry.pinned);
+        const scrollable = columns.filter(entry => !entry.pinned);
+        let start = 0;
+        let end = scrollable.length;
+        
+        if (this.virtualEnabled && scrollable.length > 0) {
+            // Row content coordinates left uncovered by the pinned cells
+            const scrollLeft = this.container.scrollLeft;
+            const from = scrollLeft + scrollable[0].left - gap;
+            const to = scrollLeft + viewport - paddingLeft;
+            
+            start = scrollable.findIndex(entry => entry.left + entry.width > from);
+            if (start === -1) start = scrollable.length - 1;
+            end = start + 1;
+            while (end < scrollable.length && scrollable[end].left < to) end++;
+            start = Math.max(0, start - 1);
+            end = Math.min(scrollable.length, end + 1);
+        }
+        
+        const tracks = [...pinned];
+        if (start > 0) {
+            tracks.push({ column: null, width: scrollable[start].left - gap - scrollable[0].left });
+        }
+        tracks.push(...scrollable.slice(start, end));
+        if (end < scrollable.length) {
+            const last = scrollable[end - 1];
+            tracks.push({ column: null, width: totalWidth - last.left - last.width - gap });
+        }
+        
+        const template = tracks.map(track => `${track.width}px`).join(' ');
+        return {
+            tracks,
+            pinned,
+            template,
+            fullTemplate: columns.map(entry => `${entry.width}px`).join(' '),
+            paddingLeft,
+            rowWidth: totalWidth + padding,
+            key: `${template}|${tracks.map(track => track.column?.id ?? '').join(',')}|${pinned.map(entry => entry.left).join(',')}`
+        };
+    }
+    
+    // Pinned cells come first in a row; they stick to the left edge while the
+    // other cells scroll under them
+    pinCells(element) {
+        const columnWindow = this.columnWindow;
+        if (!columnWindow) return;
+        
+        columnWindow.pinned.forEach((entry, i) => {
+            const cell = element.children[i];
+            if (!cell) return;
+            cell.classList.add('pinned-cell');
+            cell.classList.toggle('last-pinned', i === columnWindow.pinned.length - 1);
+            cell.style.left = `${columnWindow.paddingLeft + entry.left}px`;
+        });
+    }
+    
+    handleColumnsChange() {
+        this.columnsRevision++;
+        this.updateColumnWindow();
+        this.applyColumnTemplate();
+        this.renderHeader();
+        this.renderColumnMenu();
+        
+        // Rows have different cells and wrap differently at the new widths
+        this.measuredHeights.clear();
+        this.returnAllItemsToPool();
+        this.updateTotalHeight();
+        this.render();
+        
+        if (this.editing) {
+            this.focusEditor(this.editing.field, false);
+        }
+        this.schedulePersist();
+    }
+    
+    renderHeader() {
+        if (!this.headerElement) return;
+        
+        const visible = this.columns.visibleColumns;
+        const tracks = this.columnWindow?.tracks ?? visible.map(column => ({ column }));
+        this.headerElement.innerHTML = tracks.map(({ column }) => {
+            if (!column) return '<div class="list-column-spacer" aria-hidden="true"></div>';
+            
+            const id = escapeHtml(column.id);
+            const classes = ['list-column', `list-column-${id}`, column.sortable ? 'sort-column' : ''].filter(Boolean).join(' ');
+            return `
+                <div class="${classes}" data-column="${id}"${column.sortable ? ` data-sort="${id}"` : ''} role="columnheader" aria-colindex="${visible.indexOf(column) + 1}" tabindex="0" draggable="true"
+                     title="${column.sortable ? 'Click to sort, Shift+click to add a secondary sort. ' : ''}Drag to move, drag the edge to resize">
+                    <span class="column-label">${escapeHtml(column.label)}</span>
+                    ${column.sortable ? '<span class="sort-indicator">↕</span>' : ''}
+                    <span class="column-resize-handle" aria-hidden="true"></span>
+                </div>
+            `;
+        }).join('');
+        
+        this.pinCells(this.headerElement);
+        this.updateSortIndicators();
+    }
+    
+    renderColumnMenu() {
+        if (!this.columnMenu) return;
+        
+        const visible = this.columns.visibleColumns;
+        this.columnMenu.innerHTML = `
+            ${this.columns.columns.map(column => `
+                <div class="column-option">
+                    <label>
+                        <input type="checkbox" data-column="${escapeHtml(column.id)}"${this.columns.isVisible(column.id) ? ' checked' : ''}
+                            ${visible.length === 1 && visible[0] === column ? ' disabled' : ''}>
+                        ${escapeHtml(column.label)}
+                    </label>
+                    <label class="column-pin" title="Keep at the left edge when scrolling sideways">
+                        <input type="checkbox" data-pin="${escapeHtml(column.id)}"${this.columns.isPinned(column.id) ? ' checked' : ''}>
+                        Pin
+                    </label>
+                </div>
+            `).join('')}
+            <button type="button" class="btn btn-outline" data-action="reset-columns">Reset columns</button>
+        `;
+    }
+    
+    // Plain click sorts by `column` alone (toggling its direction if it was the
+    // primary sort); Shift+click adds it to the stack, toggles it, then removes it.
+    handleSort(column, additive = false) {
+        const existing = this.sortStack.find(level => level.column === column);
+        
+        if (!additive) {
+            const direction = existing && this.sortStack[0] === existing && existing.direction === 'asc' ? 'desc' : 'asc';
+            this.sortStack = [{ column, direction }];
+        } else if (!existing) {
+            this.sortStack.push({ column, direction: 'asc' });
+        } else if (existing.direction === 'asc') {
+            existing.direction = 'desc';
+        } else {
+            this.sortStack = this.sortStack.filter(level => level !== existing);
+        }
+        
+        this.updateSortIndicators();
+        this.applyFilters();
+        this.schedulePersist();
+        this.emit('sortchange', { sort: this.sortStack.map(level => ({ ...level })) });
+        
+        const description = this.sortStack
+            .map(({ column: id, direction }) => `${this.columns.get(id)?.label ?? id} ${direction === 'asc' ? 'ascending' : 'descending'}`)
+            .join(', then ');
+        this.announceToScreenReader(description ? `Sorted by ${description}` : 'Sorting cleared');
+    }
+    
+    updateSortIndicators() {
+        this.headerElement?.querySelectorAll('.sort-column').forEach(header => {
+            const priority = this.sortStack.findIndex(level => level.column === header.dataset.sort);
+            const level = this.sortStack[priority];
+            
+            header.classList.remove('sort-asc', 'sort-desc');
+            header.querySelector('.sort-priority')?.remove();
+            
+            if (!level) {
+                header.setAttribute('aria-sort', 'none');
+                return;
+            }
+            
+            header.classList.add(`sort-${level.direction}`);
+            header.setAttribute('aria-sort', priority === 0 ? (level.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            
+            if (this.sortStack.length > 1) {
+                const badge = document.createElement('span');
+                badge.className = 'sort-priority';
+                badge.textContent = priority + 1;
+                badge.setAttribute('aria-label', `sort priority ${priority + 1}`);
+                header.appendChild(badge);
+            }
+        });
+    }
+    
+    getExportRows() {
+        // Current filter and sort order, narrowed to the selection when there is one
+        return this.selectedItems.size === 0 ? this.filteredData : this.getSelectedRows();
+    }
+    
+    // Selected rows in display order, followed by any the search is hiding
+    getSelectedRows() {
+        const rows = this.filteredData.filter(item => this.selectedItems.has(item.id));
+        if (rows.length < this.selectedItems.size) {
+            const shown = new Set(rows);
+            this.data.forEach(item => {
+                if (this.selectedItems.has(item.id) && !shown.has(item)) {
+                    rows.push(item);
+                }
+            });
+        }
+        return rows;
+    }
+    
+    exportData(format = 'json') {
+        const { label, extension, mimeType } = FORMATS[format] || FORMATS.json;
+        const rows = this.getExportRows();
+        
+        const blob = new Blob(serializeRows(rows, FORMATS[format] ? format : 'json'), { type: mimeType });
+        const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `virtual-list-data-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `virtual-list-data-${new Date().toISOString().split('T')[0]}.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
         
-        this.announceToScreenReader(`Exported ${this.data.length} items to JSON file`);
+        const scope = this.selectedItems.size > 0 ? 'selected' : 'filtered';
+        this.announceToScreenReader(`Exported ${rows.length} ${scope} items to ${label} file`);
+    }
+    
+    async importFile(file) {
+        if (!file) return;
+        
+        const report = { fileName: file.name, imported: 0, skipped: 0, reassignedIds: 0, errors: [], fatal: null };
+        
+        // Failures anywhere, reading the file included, end up in the report
+        try {
+            const format = detectFormat(file.name, await file.slice(0, 1024).text());
+            const entries = readRecords(file, format);
+            
+            // Column names come from the first parsed record
+            const leading = [];
+            let step = await entries.next();
+            while (!step.done && !step.value.record) {
+                leading.push(step.value);
+                step = await entries.next();
+            }
+            
+            if (step.done) {
+                leading.forEach(entry => this.recordImportError(report, entry, entry.error));
+                this.showImportReport(report);
+                return;
+            }
+            
+            leading.push(step.value);
+            const columns = Object.keys(step.value.record);
+            const mapping = await this.promptColumnMapping(file.name, columns, suggestMapping(columns));
+            
+            // Cancelled, or the prompt was replaced; whatever replaced it owns the panel now
+            if (!mapping) {
+                await entries.return();
+                return;
+            }
+            
+            const records = (async function* () {
+                yield* leading;
+                yield* entries;
+            })();
+            
+            // Rows count as imported once their batch is in the list; a batch
+            // still being read when the import fails never gets there
+            this.updateImportProgress(report);
+            await this.loadFrom(new StreamDataSource(this.importRows(records, mapping, report)), null, 'Import', (batch) => {
+                report.imported += batch.length;
+                this.updateImportProgress(report);
+            });
+        } catch (error) {
+            console.error('Import failed:', error);
+            report.fatal = error.message;
+        }
+        
+        this.showImportReport(report);
+    }
+    
+    async *importRows(entries, mapping, report) {
+        const usedIds = new Set(this.data.map(item => item.id));
+        let nextId = this.data.reduce((max, item) => typeof item.id === 'number' && item.id > max ? item.id : max, 0) + 1;
+        
+        for await (const entry of entries) {
+            if (entry.error) {
+                this.recordImportError(report, entry, entry.error);
+                continue;
+            }
+            
+            const { row, problems } = coerceRecord(entry.record, mapping);
+            if (problems.length > 0) {
+                this.recordImportError(report, entry, problems.join('; '));
+                continue;
+            }
+            
+            // Missing or clashing ids get fresh ones so rows stay addressable
+            if (row.id === null || usedIds.has(row.id)) {
+                if (row.id !== null) report.reassignedIds++;
+                while (usedIds.has(nextId)) nextId++;
+                row.id = nextId++;
+            }
+            usedIds.add(row.id);
+            
+            yield row;
+        }
+    }
+    
+    // `entry` is what readRecords yielded: `line` locates it in a text file,
+    // `index` in a JSON array
+    recordImportError(report, { line, index }, message) {
+        report.skipped++;
+        
+        // Keep the report readable for files with thousands of bad rows
+        if (report.errors.length < 100) {
+            report.errors.push(index === undefined ? { line, message } : { record: index, message });
+        }
+    }
+    
+    // Resolves to the chosen mapping, or to null when the import is cancelled or
+    // anything else takes over the import panel
+    promptColumnMapping(fileName, columns, suggested) {
+        if (!this.importPanel) return Promise.resolve(suggested);
+        
+        this.closeColumnMapping();
+        const signal = this.abortController.signal;
+        const options = ['<option value="">(not imported)</option>']
+            .concat(columns.map(column => `<option value="${escapeHtml(column)}">${escapeHtml(column)}</option>`))
+            .join('');
+        
+        this.importPanel.innerHTML = `
+            <div class="import-mapping" role="group" aria-label="Column mapping for ${escapeHtml(fileName)}">
+                <h4>Import "${escapeHtml(fileName)}"</h4>
+                <p class="import-hint">Match the file's columns to list fields. Rows with invalid values are skipped and reported.</p>
+                <div class="mapping-grid">
+                    ${EXPORT_FIELDS.map(field => `
+                        <label class="mapping-field">
+                            <span>${field}${field === 'name' ? ' *' : ''}</span>
+                            <select class="view-select" data-field="${field}">${options}</select>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="import-actions">
+                    <button type="button" class="btn btn-primary" data-action="confirm">Import</button>
+                    <button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        this.importPanel.hidden = false;
+        
+        const selects = this.importPanel.querySelectorAll('select[data-field]');
+        const confirmButton = this.importPanel.querySelector('[data-action="confirm"]');
+        const readMapping = () => {
+            const mapping = {};
+            selects.forEach(select => {
+                mapping[select.dataset.field] = select.value === '' ? null : select.value;
+            });
+            return mapping;
+        };
+        
+        selects.forEach(select => {
+            select.value = suggested[select.dataset.field] ?? '';
+            select.addEventListener('change', () => {
+                confirmButton.disabled = !readMapping().name;
+            }, { signal });
+        });
+        confirmButton.disabled = !readMapping().name;
+        selects[0]?.focus();
+        
+        return new Promise(resolve => {
+            this.resolveColumnMapping = resolve;
+            this.importPanel.querySelector('.import-actions').addEventListener('click', (e) => {
+                const action = e.target.closest('[data-action]')?.dataset.action;
+                if (action === 'confirm') {
+                    this.resolveColumnMapping = null;
+                    resolve(readMapping());
+                }
+                if (action === 'cancel') this.hideImportPanel();
+            }, { signal });
+        });
+    }
+    
+    // Called before the import panel shows anything else
+    closeColumnMapping() {
+        const resolve = this.resolveColumnMapping;
+        this.resolveColumnMapping = null;
+        resolve?.(null);
+    }
+    
+    updateImportProgress(report) {
+        if (!this.importPanel) return;
+        this.closeColumnMapping();
+        
+        this.importPanel.hidden = false;
+        this.importPanel.innerHTML = `
+            <div class="import-progress" role="status">
+                Importing "${escapeHtml(report.fileName)}"... ${report.imported.toLocaleString()} rows
+                ${report.skipped > 0 ? `(${report.skipped.toLocaleString()} skipped)` : ''}
+            </div>
+        `;
+    }
+    
+    showImportReport(report) {
+        const summary = report.fatal
+            ? `Import of "${report.fileName}" stopped: ${report.fatal}. ${report.imported} rows were imported.`
+            : `Imported ${report.imported} rows from "${report.fileName}". ${report.skipped} rows skipped.`;
+        
+        this.announceToScreenReader(summary);
+        if (!this.importPanel) return;
+        this.closeColumnMapping();
+        
+        const hiddenErrors = report.skipped - report.errors.length;
+        this.importPanel.hidden = false;
+        this.importPanel.innerHTML = `
+            <div class="import-report ${report.fatal || report.skipped > 0 ? 'has-errors' : ''}" role="status">
+                <p>${escapeHtml(summary)}</p>
+                ${report.reassignedIds > 0 ? `<p>${report.reassignedIds} duplicate ids were replaced with new ones.</p>` : ''}
+                ${report.errors.length > 0 ? `
+                    <ul class="import-errors">
+                        ${report.errors.map(({ line, record, message }) => `<li>${record === undefined ? `Line ${line}` : `Record ${record}`}: ${escapeHtml(message)}</li>`).join('')}
+                        ${hiddenErrors > 0 ? `<li>...and ${hiddenErrors} more</li>` : ''}
+                    </ul>
+                ` : ''}
+                <div class="import-actions">
+                    <button type="button" class="btn btn-outline" data-action="dismiss">Dismiss</button>
+                </div>
+            </div>
+        `;
+        
+        this.importPanel.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            this.hideImportPanel();
+        }, { signal: this.abortController.signal });
+    }
+    
+    hideImportPanel() {
+        this.closeColumnMapping();
+        if (this.importPanel) {
+            this.importPanel.hidden = true;
+            this.importPanel.innerHTML = '';
+        }
+    }
+    
+    // With several lists on a page, shortcuts go to the list holding the focus,
+    // or to the one last used when the focus is on the page itself
+    ownsShortcut(e) {
+        if (this.root.contains(e.target) || this.toolbar?.contains(e.target)) return true;
+        return activeList === this && (e.target === document.body || e.target === document.documentElement);
     }
     
     handleGlobalKeyboard(e) {
+        if (!this.ownsShortcut(e)) return;
+        
         // Handle global keyboard shortcuts
         if (e.ctrlKey || e.metaKey) {
-            switch (e.key) {
+            switch (e.key.toLowerCase()) {
+                case 'z':
+                case 'y':
+                    // Text fields keep their own undo
+                    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) break;
+                    e.preventDefault();
+                    if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    break;
                 case 'f':
                     e.preventDefault();
                     if (this.searchInput) {
@@ -474,60 +2176,300 @@ export class VirtualList {
                     }
                     break;
                 case 'a':
-                    if (e.target.closest('#virtual-list')) {
+                    if (this.listElement.contains(e.target) && !e.target.closest('.item-editor')) {
+                        e.preventDefault();
+                        this.selectAllFiltered();
+                    }
+                    break;
+                case 'c':
+                    if (this.listElement.contains(e.target) && !e.target.closest('.item-editor') && this.selectedItems.size > 0) {
                         e.preventDefault();
-                        this.selectAllVisible();
+                        this.copySelection();
                     }
                     break;
             }
         }
         
         if (e.key === 'Delete' || e.key === 'Backspace') {
-            if (e.target.closest('#virtual-list') && this.selectedItems.size > 0) {
+            if (this.listElement.contains(e.target) && !e.target.closest('.item-editor') && this.selectedItems.size > 0) {
                 e.preventDefault();
                 this.deleteSelectedItems();
             }
         }
     }
     
+    // The rows currently rendered in the viewport window
     selectAllVisible() {
-        this.filteredData.forEach((item, index) => {
-            if (index >= this.visibleStart && index < this.visibleEnd) {
-                item.selected = true;
-                this.selectedItems.add(item.id);
+        const items = this.displayRows
+            .slice(this.visibleStart, this.visibleEnd)
+            .filter(row => !isGroupRow(row));
+        
+        this.selectedItems.selectAll(items);
+        this.announceToScreenReader(`Selected ${items.length} visible items. ${this.selectedItems.size} selected in total.`);
+    }
+    
+    // Every row matching the current search, including collapsed groups
+    selectAllFiltered() {
+        this.selectedItems.selectAll(this.filteredData);
+        this.announceToScreenReader(`Selected all ${this.filteredData.length} matching items`);
+    }
+    
+    invertSelection() {
+        this.selectedItems.invert(this.filteredData);
+        this.announceToScreenReader(`Selection inverted. ${this.selectedItems.size} items selected.`);
+    }
+    
+    clearSelection() {
+        if (this.selectedItems.size === 0) return;
+        
+        this.selectedItems.clear();
+        this.announceToScreenReader('Selection cleared');
+    }
+    
+    handleSelectionChange() {
+        this.syncRenderedSelection();
+        this.updateSelectionBar();
+        this.schedulePersist();
+        this.emit('selectionchange', { count: this.selectedItems.size, selection: this.selectedItems });
+    }
+    
+    // Rows are recycled, so selection state is re-applied to whatever is rendered
+    syncRenderedSelection() {
+        this.listElement.querySelectorAll('.virtual-item').forEach((element) => {
+            const row = this.displayRows[element.dataset.index];
+            if (!row || isGroupRow(row)) return;
+            
+            const selected = this.selectedItems.has(row.id);
+            element.classList.toggle('selected', selected);
+            element.setAttribute('aria-selected', String(selected));
+        });
+    }
+    
+    updateSelectionBar() {
+        const selected = this.selectedItems.size;
+        const matching = this.filteredData.length;
+        
+        if (this.selectionSummary) {
+            let summary = selected === 0 ? 'No items selected' : `${selected.toLocaleString()} of ${matching.toLocaleString()} selected`;
+            
+            // Selected rows the search is hiding still count for delete and export
+            if (selected > 0 && matching < this.data.length) {
+                const hidden = selected - this.filteredData.reduce((count, item) => count + (this.selectedItems.has(item.id) ? 1 : 0), 0);
+                if (hidden > 0) {
+                    summary += ` (${hidden.toLocaleString()} hidden by search)`;
+                }
+            }
+            this.selectionSummary.textContent = summary;
+        }
+        
+        if (this.selectAllButton) {
+            this.selectAllButton.textContent = `Select all ${matching.toLocaleString()}`;
+            this.selectAllButton.disabled = matching === 0;
+        }
+        if (this.selectVisibleButton) {
+            this.selectVisibleButton.disabled = matching === 0;
+        }
+        if (this.invertSelectionButton) {
+            this.invertSelectionButton.disabled = matching === 0;
+        }
+        if (this.clearSelectionButton) {
+            this.clearSelectionButton.disabled = selected === 0;
+        }
+        if (this.bulkToolbar) {
+            this.bulkToolbar.hidden = selected === 0;
+            if (selected === 0 && !this.bulkRunning) {
+                this.setBulkStatus('');
+            }
+        }
+    }
+    
+    runBulkAction(action) {
+        switch (action) {
+            case 'category':
+                return this.applyBulkEdit('category', { category: this.bulkCategorySelect?.value });
+            case 'value':
+                return this.applyBulkEdit('value', { mode: this.bulkValueMode?.value, amount: this.bulkValueAmount?.value });
+            case 'date':
+                return this.applyBulkEdit('date', { days: this.bulkDateDays?.value });
+            case 'export':
+                return this.exportData(this.exportFormatSelect?.value);
+            case 'copy':
+                return this.copySelection();
+            case 'delete':
+                return this.deleteSelectedItems();
+        }
+    }
+    
+    // Applies a BULK_EDITS entry to every selected row (including rows hidden by
+    // the search) in chunks, so large selections show progress and the page
+    // stays responsive. The chunks coalesce into a single undo step.
+    async applyBulkEdit(kind, input) {
+        const edit = BULK_EDITS[kind];
+        if (!edit || this.bulkRunning || this.selectedItems.size === 0) return;
+        
+        const prepared = edit.prepare(input);
+        if (prepared.error) {
+            this.setBulkStatus(prepared.error, true);
+            this.announceToScreenReader(prepared.error);
+            return;
+        }
+        
+        this.cancelEdit();
+        const items = this.getSelectedRows();
+        const coalesceKey = `bulk-${++this.bulkCount}`;
+        let changed = 0;
+        
+        this.setBulkRunning(true);
+        try {
+            for (let start = 0; start < items.length; start += this.bulkChunkSize) {
+                const changes = [];
+                items.slice(start, start + this.bulkChunkSize).forEach(item => {
+                    const after = prepared.update(item);
+                    if (!after) return;
+                    
+                    const before = {};
+                    Object.keys(after).forEach(field => {
+                        before[field] = item[field];
+                    });
+                    changes.push({ item, before, after });
+                });
+                
+                if (changes.length > 0) {
+                    this.history.execute(this.createBulkUpdateCommand(changes, edit.label, coalesceKey));
+                    changed += changes.length;
+                }
+                
+                if (items.length > this.bulkChunkSize) {
+                    const done = Math.min(start + this.bulkChunkSize, items.length);
+                    this.setBulkStatus(`${edit.label}: ${done.toLocaleString()} of ${items.length.toLocaleString()} items...`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
             }
+        } finally {
+            this.setBulkRunning(false);
+        }
+        
+        const unchanged = items.length - changed;
+        const message = `${prepared.summary} on ${changed.toLocaleString()} ${changed === 1 ? 'item' : 'items'}` +
+            (unchanged > 0 ? ` (${unchanged.toLocaleString()} unchanged)` : '');
+        this.setBulkStatus(message);
+        if (changed === 0) {
+            this.announceToScreenReader(message);
+            return;
+        }
+        
+        await this.handleDataMutation();
+        this.showUndoToast(message);
+        this.announceToScreenReader(`${message}. Press Ctrl+Z to undo.`);
+    }
+    
+    setBulkRunning(running) {
+        this.bulkRunning = running;
+        this.bulkToolbar?.querySelectorAll('button, input, select').forEach(control => {
+            control.disabled = running;
         });
-        this.render();
-        this.announceToScreenReader(`Selected ${this.visibleEnd - this.visibleStart} visible items`);
+        this.bulkToolbar?.setAttribute('aria-busy', String(running));
+    }
+    
+    setBulkStatus(message, isError = false) {
+        if (!this.bulkStatus) return;
+        
+        this.bulkStatus.textContent = message;
+        this.bulkStatus.classList.toggle('has-error', isError);
+    }
+    
+    async copySelection() {
+        const rows = this.getSelectedRows();
+        if (rows.length === 0) return;
+        
+        try {
+            await navigator.clipboard.writeText(serializeRows(rows, 'tsv').join(''));
+        } catch (error) {
+            console.error('Copy to clipboard failed:', error);
+            this.setBulkStatus('Could not copy to the clipboard', true);
+            this.announceToScreenReader('Could not copy to the clipboard');
+            return;
+        }
+        
+        const message = `Copied ${rows.length.toLocaleString()} ${rows.length === 1 ? 'item' : 'items'} as TSV`;
+        this.setBulkStatus(message);
+        this.toasts.show(message);
+        this.announceToScreenReader(message);
+    }
+    
+    // Plain click selects just this row, Ctrl/Cmd+click toggles it and
+    // Shift+click selects the range from the anchor (adding to it with Ctrl)
+    handleRowClick(e, index) {
+        const row = this.displayRows[index];
+        if (!row || isGroupRow(row)) return;
+        
+        if (e.shiftKey) {
+            this.selectedItems.selectRange(this.displayRows, index, {
+                additive: e.ctrlKey || e.metaKey,
+                isSelectable: candidate => candidate && !isGroupRow(candidate)
+            });
+        } else if (e.ctrlKey || e.metaKey) {
+            this.selectedItems.toggle(row.id);
+        } else {
+            this.selectedItems.selectOnly(row.id);
+        }
+        
+        this.focusItem(index);
     }
     
     deleteSelectedItems() {
         if (this.selectedItems.size === 0) return;
         
-        if (confirm(`Delete ${this.selectedItems.size} selected items?`)) {
-            this.data = this.data.filter(item => !this.selectedItems.has(item.id));
-            this.selectedItems.clear();
-            this.applyFilters();
-            this.updateTotalHeight();
-            this.updateStats();
-            this.render();
-            this.announceToScreenReader('Selected items deleted');
-        }
+        const items = this.data.filter(item => this.selectedItems.has(item.id));
+        const entry = this.history.execute(this.createRemoveCommand(items, 'Delete'));
+        this.handleDataMutation();
+        
+        this.showUndoToast(`Deleted ${entry.count} selected items`);
+        this.announceToScreenReader(`Deleted ${entry.count} selected items. Press Ctrl+Z to undo.`);
     }
     
     render() {
         this.renderStartTime = performance.now();
+        this.runPluginHook('beforeRender');
+        
+        // Scrolling sideways or resizing can bring other columns into view;
+        // vertical scrolling leaves the columns as they are
+        let refocusEditor = false;
+        if (this.columnWindowStale && this.updateColumnWindow()) {
+            refocusEditor = Boolean(this.editing && document.activeElement?.closest('.item-editor'));
+            this.applyColumnTemplate();
+            this.renderHeader();
+            this.returnAllItemsToPool();
+        }
         
-        if (this.filteredData.length === 0) {
-            this.listElement.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">📝</div>
-                    <div>No items to display</div>
-                    ${this.data.length > 0 ? '<div>Try adjusting your search criteria</div>' : '<div>Click a button above to add items</div>'}
-                </div>
-            `;
+        if (this.displayRows.length === 0) {
+            this.updateStickyGroupHeader();
+            if (this.infinite && !this.infinite.source.done) {
+                // Nothing to show yet, but more pages are on their way
+                this.listElement.innerHTML = '';
+            } else {
+                this.listElement.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-icon">📝</div>
+                        <div>No items to display</div>
+                        ${this.data.length > 0 ? '<div>Try adjusting your search criteria</div>' : '<div>Click a button above to add items</div>'}
+                    </div>
+                `;
+            }
+            this.visibleStart = 0;
+            this.visibleEnd = 0;
+            this.updateInfiniteTail();
+            this.checkInfiniteLoad();
             this.updatePerformanceMetrics();
             this.updateStats();
+            this.finishRender();
+            return;
+        }
+        
+        // Cards per line follow the list's width, which can change without a
+        // window resize (e.g. the list was hidden when the view was chosen)
+        if (this.lineStarts && this.updateItemsPerLine()) {
+            this.relayoutRows();
             return;
         }
         
@@ -537,20 +2479,40 @@ export class VirtualList {
             this.renderAll();
         }
         
+        if (refocusEditor) {
+            this.focusEditor(this.editing.field, false);
+        }
+        
+        this.updateInfiniteTail();
+        this.checkInfiniteLoad();
+        this.updateStickyGroupHeader();
         this.updatePerformanceMetrics();
         this.updateStats();
+        this.finishRender();
+    }
+    
+    finishRender() {
+        const range = { start: this.visibleStart, end: this.visibleEnd };
+        this.runPluginHook('afterRender', range);
+        
+        if (range.start !== this.emittedRange.start || range.end !== this.emittedRange.end) {
+            this.emittedRange = range;
+            this.emit('rangechange', { ...range, rendered: this.getStats().renderedItems });
+        }
     }
     
     renderVirtual() {
         const { start, end } = this.getVisibleRange();
         
+        this.listElement.querySelector('.empty-state')?.remove();
+        
         // Clear existing items that are no longer visible
         this.returnItemsToPool(start, end);
         
         // Render visible items
         for (let i = start; i < end; i++) {
-            if (i < this.filteredData.length && !this.renderedItems.has(i)) {
-                const element = this.createItemElement(this.filteredData[i], i);
+            if (i < this.displayRows.length && !this.renderedItems.has(i)) {
+                const element = this.createRowElement(this.displayRows[i], i);
                 this.renderedItems.set(i, element);
                 this.listElement.appendChild(element);
             }
@@ -558,63 +2520,300 @@ export class VirtualList {
         
         this.visibleStart = start;
         this.visibleEnd = end;
+        
+        this.measureRenderedItems();
+    }
+    
+    measureRenderedItems() {
+        // Read every height first, then write, so layout is forced only once
+        const lineHeights = new Map();
+        this.renderedItems.forEach((element, index) => {
+            const height = element.offsetHeight;
+            if (height > 0) {
+                const row = this.displayRows[index];
+                if (!isGroupRow(row)) {
+                    this.measuredHeights.set(row.id, height);
+                }
+                const line = this.lineOf(index);
+                lineHeights.set(line, Math.max(lineHeights.get(line) ?? 0, height));
+            }
+        });
+        
+        const firstVisible = this.heightIndex.indexAt(this.container.scrollTop);
+        let shiftAbove = 0;
+        let changed = false;
+        
+        lineHeights.forEach((height, line) => {
+            const isHeader = isGroupRow(this.displayRows[this.lineStart(line)]);
+            const delta = this.heightIndex.setHeight(line, height + (isHeader ? 0 : this.lineGap));
+            if (delta !== 0) {
+                changed = true;
+                if (line < firstVisible) {
+                    shiftAbove += delta;
+                }
+            }
+        });
+        
+        if (!changed) return;
+        
+        this.renderedItems.forEach((element, index) => {
+            element.style.top = `${this.heightIndex.offsetOf(this.lineOf(index))}px`;
+        });
+        
+        this.totalHeight = this.heightIndex.totalHeight;
+        this.listElement.style.height = `${this.totalHeight + this.tailHeight}px`;
+        
+        // Keep the rows in view still when rows above them grew or shrank
+        if (shiftAbove !== 0) {
+            this.container.scrollTop += shiftAbove;
+            this.scrollTop = this.container.scrollTop;
+        }
+    }
+    
+    renderAll() {
+        // Clear all existing items
+        this.listElement.innerHTML = '';
+        this.renderedItems.clear();
+        
+        // Use document fragment for better performance when rendering many items
+        const fragment = document.createDocumentFragment();
+        
+        // Render ALL items with optimizations
+        this.displayRows.forEach((row, index) => {
+            const element = this.createRowElement(row, index);
+            if (!isGroupRow(row)) {
+                element.style.position = 'relative'; // Remove absolute positioning
+                element.style.top = 'auto';
+            }
+            fragment.appendChild(element);
+        });
+        
+        // Append all items at once for better performance
+        this.listElement.appendChild(fragment);
+        
+        this.visibleStart = 0;
+        this.visibleEnd = this.displayRows.length;
+        
+        // Container maintains fixed height, list content scrolls internally
+    }
+    
+    markDataChanged() {
+        this.dataVersion++;
+        this.schedulePersist();
+        this.runPluginHook('dataChange');
+    }
+    
+    getViewState() {
+        return {
+            sort: this.sortStack,
+            searchTerm: this.searchTerm,
+            viewMode: this.viewMode,
+            virtualEnabled: this.virtualEnabled,
+            groupBy: this.groupBy,
+            collapsedGroups: Array.from(this.collapsedGroups),
+            columns: this.columns.getState(),
+            scrollTop: this.container.scrollTop,
+            selectedIds: Array.from(this.selectedItems),
+            savedAt: Date.now()
+        };
+    }
+    
+    applyViewState(state) {
+        if (state.columns) {
+            this.columns.applyState(state.columns);
+        }
+        
+        if (state.viewMode && state.viewMode !== this.viewMode) {
+            if (this.viewModeSelect) {
+                this.viewModeSelect.value = state.viewMode;
+            }
+            this.changeViewMode(state.viewMode);
+        }
+        
+        if (typeof state.virtualEnabled === 'boolean' && state.virtualEnabled !== this.virtualEnabled) {
+            this.toggleVirtualScrolling(state.virtualEnabled);
+            this.syncToggleState();
+        }
+        
+        this.sortStack = Array.isArray(state.sort) ? state.sort : [];
+        this.updateSortIndicators();
+        if (this.sortStack.length > 0) {
+            this.emit('sortchange', { sort: this.sortStack.map(level => ({ ...level })) });
+        }
+        
+        if (state.groupBy) {
+            this.setGroupBy(state.groupBy);
+            (state.collapsedGroups || []).forEach(key => this.collapsedGroups.add(key));
+        }
+        
+        if (state.searchTerm) {
+            if (this.searchInput) {
+                this.searchInput.value = state.searchTerm;
+            }
+            this.handleSearch(state.searchTerm);
+        }
+    }
+    
+    // Reloads the rows and view state saved by a previous session
+    async restoreSavedState() {
+        if (!this.store?.available) return;
+        
+        let state;
+        try {
+            state = await this.store.loadState();
+        } catch (error) {
+            console.warn('Failed to open saved list:', error);
+            return;
+        }
+        if (!state) return;
+        
+        this.restoring = true;
+        this.loadController?.abort();
+        this.loadController = new AbortController();
+        
+        try {
+            this.applyViewState(state);
+            
+            const store = this.store;
+            const records = (async function* () {
+                for await (const chunk of store.readRows(state)) {
+                    yield* chunk;
+                }
+            })();
+            await this.loadFrom(new StreamDataSource(records), this.loadController.signal);
+            
+            this.selectedItems.replace(state.selectedIds || []);
+            this.selectedItems.retain(new Set(this.data.map(item => item.id)));
+            
+            this.container.scrollTop = state.scrollTop || 0;
+            this.scrollTop = this.container.scrollTop;
+            this.render();
+            
+            if (this.data.length > 0) {
+                this.announceToScreenReader(`Restored ${this.data.length} items from your last session.`);
+            }
+        } catch (error) {
+            console.warn('Failed to restore saved list:', error);
+        } finally {
+            this.restoring = false;
+        }
+        
+        // Rows added or removed while restoring still need saving
+        if (this.data.length === state.rowCount) {
+            this.savedVersion = this.dataVersion;
+            this.editedPositions = new Set();
+        } else {
+            this.schedulePersist();
+        }
+        
+        // A deep link wins over the saved scroll position
+        this.revealLinkedItem();
     }
     
-    renderAll() {
-        // Clear all existing items
-        this.listElement.innerHTML = '';
-        this.renderedItems.clear();
+    schedulePersist() {
+        // Nothing is scheduled once destroy() has run
+        if (!this.store?.available || this.restoring || this.abortController.signal.aborted) return;
         
-        // Use document fragment for better performance when rendering many items
-        const fragment = document.createDocumentFragment();
-        
-        // Render ALL items with optimizations
-        this.filteredData.forEach((item, index) => {
-            const element = this.createItemElement(item, index);
-            element.style.position = 'relative'; // Remove absolute positioning
-            element.style.top = 'auto';
-            element.style.height = `${this.itemHeight}px`;
-            fragment.appendChild(element);
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.persist(), this.persistDelay);
+    }
+    
+    // Saves run one after another. Rows are only written when they changed: edits
+    // rewrite the chunks holding the edited rows, while adding or removing rows
+    // writes a new snapshot of every row.
+    persist() {
+        if (!this.store?.available || this.restoring) return this.persistQueue;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        
+        // The view is read now, as destroy() takes it down before a queued save runs
+        const state = this.getViewState();
+        this.persistQueue = this.persistQueue.then(async () => {
+            if (this.savedVersion === this.dataVersion) {
+                await this.store.saveState(state);
+                return;
+            }
+            
+            const version = this.dataVersion;
+            const edited = this.editedPositions;
+            this.editedPositions = new Set();
+            if (edited) {
+                await this.store.saveEdits(this.data, edited, state);
+            } else {
+                await this.store.saveRows(this.data.slice(), state);
+            }
+            this.savedVersion = version;
+        }).catch(error => {
+            this.editedPositions = null; // Which rows made it is unknown, so write them all next time
+            console.warn('Failed to save list:', error);
         });
         
-        // Append all items at once for better performance
-        this.listElement.appendChild(fragment);
-        
-        this.visibleStart = 0;
-        this.visibleEnd = this.filteredData.length;
-        
-        // Container maintains fixed height, list content scrolls internally
+        return this.persistQueue;
     }
     
     applyFilters() {
-        this.filteredData = this.data.filter(item => {
-            if (this.searchTerm) {
-                const searchLower = this.searchTerm.toLowerCase();
-                return item.name.toLowerCase().includes(searchLower) ||
-                       item.category.toLowerCase().includes(searchLower) ||
-                       item.id.toString().includes(searchLower);
+        if (this.queryEngine.version !== this.dataVersion) {
+            this.queryEngine.setData(this.data, this.dataVersion, this.queryChanges);
+            this.queryChanges = [];
+        }
+        
+        const { sort, comparators } = this.resolveSort();
+        const sortLocally = Object.keys(comparators).length > 0;
+        const query = {
+            searchTerm: this.searchTerm,
+            sort: sortLocally ? [] : sort
+        };
+        
+        return this.queryEngine.run(query).then(result => {
+            // Superseded by a newer query, or computed on data that has since changed
+            if (!result || result.version !== this.dataVersion) return false;
+            
+            // A restore sets its own scroll position
+            const anchor = this.restoring ? null : this.captureAnchor();
+            
+            if (sortLocally) {
+                sortIndices(this.data, result.indices, sort, comparators);
+            }
+            
+            // Rendered rows are keyed by position, so a new ordering invalidates them
+            const editorFocused = Boolean(document.activeElement?.closest?.('.item-editor'));
+            this.returnAllItemsToPool();
+            
+            this.filteredData = Array.from(result.indices, index => this.data[index]);
+            this.rebuildDisplayRows();
+            this.updateTotalHeight();
+            this.updateStats();
+            this.render();
+            this.restoreAnchor(anchor);
+            this.revealLinkedItem();
+            this.updateSelectionBar();
+            
+            if (query.searchTerm !== this.appliedSearchTerm) {
+                this.appliedSearchTerm = query.searchTerm;
+                this.emit('filterchange', { searchTerm: query.searchTerm, count: this.filteredData.length });
+            }
+            
+            if (editorFocused) {
+                this.focusEditor(this.editing?.field, false);
             }
             return true;
         });
-        
-        // Apply sorting
-        if (this.sortColumn) {
-            this.filteredData.sort((a, b) => {
-                let aVal = a[this.sortColumn];
-                let bVal = b[this.sortColumn];
-                
-                if (typeof aVal === 'string') {
-                    aVal = aVal.toLowerCase();
-                    bVal = bVal.toLowerCase();
-                }
-                
-                if (this.sortDirection === 'asc') {
-                    return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-                } else {
-                    return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
-                }
-            });
-        }
+    }
+    
+    // Maps the sort stack's column ids to the fields the query sorts by. Columns
+    // with their own comparator can't be sent to the query worker, so when the
+    // stack has one the whole sort runs here instead.
+    resolveSort() {
+        const comparators = {};
+        const sort = this.sortStack.map(({ column, direction }) => {
+            const definition = this.columns.get(column);
+            if (definition?.compare) {
+                comparators[column] = definition.compare;
+                return { column, direction };
+            }
+            return { column: definition?.field ?? column, direction };
+        });
+        return { sort, comparators };
     }
     
     updateStats() {
@@ -674,6 +2873,167 @@ export class VirtualList {
         }
     }
     
+    createRowElement(row, index) {
+        return isGroupRow(row) ? this.createGroupElement(row, index) : this.createItemElement(row, index);
+    }
+    
+    createGroupElement(group, index) {
+        const element = document.createElement('div');
+        element.className = 'virtual-item group-header';
+        element.setAttribute('role', 'option');
+        element.setAttribute('tabindex', '-1');
+        element.setAttribute('aria-expanded', String(!group.collapsed));
+        element.setAttribute('aria-label', `${group.label}: ${group.count} items, total $${group.sum.toLocaleString()}`);
+        element.setAttribute('aria-setsize', this.displayRows.length);
+        element.setAttribute('aria-posinset', index + 1);
+        element.dataset.index = index;
+        element.dataset.key = group.key;
+        element.id = `${this.id}-item-${index}`;
+        element.classList.toggle('focused', index === this.focusedIndex);
+        element.innerHTML = this.renderGroupHeader(group);
+        
+        if (this.virtualEnabled) {
+            element.style.position = 'absolute';
+            element.style.top = `${this.heightIndex.offsetOf(this.lineOf(index))}px`;
+            element.style.width = '100%';
+            element.style.left = '0';
+            element.style.zIndex = '2';
+        } else {
+            element.style.position = 'sticky';
+            element.style.top = '0';
+            element.style.zIndex = '2';
+        }
+        element.style.minHeight = `${this.groupHeaderHeight}px`;
+        
+        return element;
+    }
+    
+    renderGroupHeader(group) {
+        return `
+            <span class="group-toggle" aria-hidden="true">${group.collapsed ? '▸' : '▾'}</span>
+            <span class="group-label">${escapeHtml(group.label)}</span>
+            <span class="group-count">${group.count.toLocaleString()} ${group.count === 1 ? 'item' : 'items'}</span>
+            <span class="group-sum">Σ $${group.sum.toLocaleString()}</span>
+        `;
+    }
+    
+    rebuildDisplayRows() {
+        if (!this.groupBy) {
+            this.displayRows = this.filteredData;
+            this.groupRowIndices = [];
+            this.rebuildLines();
+            return;
+        }
+        
+        // Groups follow the sort direction when sorting by the grouped column
+        const primary = this.sortStack[0];
+        const direction = primary?.column === this.groupBy ? primary.direction : 'asc';
+        this.displayRows = groupRows(this.filteredData, this.groupBy, { collapsed: this.collapsedGroups, direction });
+        
+        this.groupRowIndices = [];
+        this.displayRows.forEach((row, index) => {
+            if (isGroupRow(row)) this.groupRowIndices.push(index);
+        });
+        this.rebuildLines();
+    }
+    
+    // Re-lays out the rows after grouping changed; positions shift, so every row is rebuilt
+    relayoutRows() {
+        this.returnAllItemsToPool();
+        this.rebuildDisplayRows();
+        this.updateTotalHeight();
+        this.scrollTop = this.container.scrollTop;
+        this.render();
+    }
+    
+    setGroupBy(column) {
+        this.groupBy = column || null;
+        this.collapsedGroups.clear();
+        
+        if (this.groupBySelect) {
+            this.groupBySelect.value = this.groupBy || '';
+        }
+        
+        this.container.scrollTop = 0;
+        this.relayoutRows();
+        this.schedulePersist();
+        
+        const groups = this.groupRowIndices.length;
+        this.announceToScreenReader(this.groupBy ? `Grouped by ${this.groupBy} into ${groups} groups` : 'Grouping removed');
+    }
+    
+    toggleGroup(key, collapsed = !this.collapsedGroups.has(key)) {
+        if (collapsed) {
+            this.collapsedGroups.add(key);
+        } else {
+            this.collapsedGroups.delete(key);
+        }
+        
+        this.relayoutRows();
+        
+        // Keep the header under the user's focus, even if it had scrolled off the top
+        const index = this.displayRows.findIndex(row => isGroupRow(row) && row.key === key);
+        if (index === -1) return;
+        
+        this.scrollToItem(index);
+        this.focusItem(index);
+        this.schedulePersist();
+        
+        const group = this.displayRows[index];
+        this.announceToScreenReader(`${group.label} ${collapsed ? 'collapsed' : 'expanded'}, ${group.count} items`);
+    }
+    
+    // Header row of the group containing display position `index`
+    groupIndexFor(index) {
+        let low = 0;
+        let high = this.groupRowIndices.length - 1;
+        let found = -1;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.groupRowIndices[mid] <= index) {
+                found = this.groupRowIndices[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+    
+    updateStickyGroupHeader() {
+        const sticky = this.stickyGroupHeader;
+        if (!sticky) return;
+        
+        let group = null;
+        const headerHeight = this.headerElement?.offsetHeight ?? 0;
+        if (this.virtualEnabled && this.groupBy && this.displayRows.length > 0) {
+            // The column header sticks above the rows and covers the first of them
+            const offset = this.container.scrollTop - this.listElement.offsetTop + headerHeight;
+            const headerIndex = this.groupIndexFor(this.lineStart(this.heightIndex.indexAt(offset)));
+            
+            // Only needed once the real header has scrolled out of view
+            if (headerIndex > -1 && this.heightIndex.offsetOf(this.lineOf(headerIndex)) < offset) {
+                group = this.displayRows[headerIndex];
+            }
+        }
+        
+        if (!group) {
+            sticky.hidden = true;
+            delete sticky.dataset.key;
+            return;
+        }
+        
+        const signature = `${group.key}|${group.count}|${group.sum}|${group.collapsed}`;
+        if (sticky.hidden || sticky.dataset.signature !== signature) {
+            sticky.innerHTML = `<div class="group-header">${this.renderGroupHeader(group)}</div>`;
+            sticky.dataset.key = group.key;
+            sticky.dataset.signature = signature;
+            sticky.hidden = false;
+        }
+        sticky.style.top = `${headerHeight}px`;
+    }
+    
     createItemElement(item, index) {
         let element = this.itemPool.pop();
         
@@ -687,123 +3047,418 @@ export class VirtualList {
         element.dataset.index = index;
         element.dataset.id = item.id;
         
-        element.innerHTML = `
-            <div class="item-id">${item.id}</div>
-            <div class="item-name">${this.highlightSearch(item.name)}</div>
-            <div class="item-category ${item.category}">${item.category}</div>
-            <div class="item-value">$${item.value.toLocaleString()}</div>
-            <div class="item-date">${item.date}</div>
-            <div class="item-actions">
-                <button class="item-action-btn" title="Edit item" aria-label="Edit ${item.name}">✏</button>
-                <button class="item-action-btn" title="Delete item" aria-label="Delete ${item.name}">🗑</button>
-            </div>
-        `;
+        this.renderItemContent(element, item, index);
         
         // Set positioning based on virtual scrolling mode
         if (this.virtualEnabled) {
+            const line = this.lineOf(index);
             element.style.position = 'absolute';
-            element.style.top = `${index * this.itemHeight}px`;
-            element.style.width = '100%';
-            element.style.left = '0';
+            element.style.top = `${this.heightIndex.offsetOf(line)}px`;
             element.style.zIndex = '1';
+            
+            if (this.lineStarts) {
+                // Card `column` of `itemsPerLine` equal columns with lineGap between them
+                const column = index - this.lineStart(line);
+                const width = `((100% - ${(this.itemsPerLine - 1) * this.lineGap}px) / ${this.itemsPerLine})`;
+                element.style.width = `calc${width}`;
+                element.style.left = `calc(${width} * ${column} + ${column * this.lineGap}px)`;
+            } else {
+                element.style.width = '100%';
+                element.style.left = '0';
+            }
         } else {
+            // The list's own layout places the row (a CSS grid in grid views)
             element.style.position = 'relative';
             element.style.top = 'auto';
+            element.style.width = '';
+            element.style.left = '';
         }
         
-        element.style.height = `${this.itemHeight}px`;
+        // Rows grow with their content; virtual mode measures them after rendering
+        element.style.height = '';
+        element.style.minHeight = `${this.itemHeight}px`;
         
-        if (item.selected) {
-            element.classList.add('selected');
-        } else {
-            element.classList.remove('selected');
-        }
+        const selected = this.selectedItems.has(item.id);
+        element.classList.toggle('selected', selected);
+        element.setAttribute('aria-selected', String(selected));
+        element.classList.toggle('focused', index === this.focusedIndex);
+        element.id = `${this.id}-item-${index}`;
         
         element.setAttribute('aria-label', `${item.name}, ${item.category} priority, value $${item.value}`);
-        element.setAttribute('aria-setsize', this.filteredData.length);
+        element.setAttribute('aria-setsize', this.displayRows.length);
         element.setAttribute('aria-posinset', index + 1);
         
-        // Event listeners (use event delegation for better performance when rendering all items)
-        element.addEventListener('click', (e) => {
-            if (!e.target.closest('.item-action-btn')) {
-                this.toggleItemSelection(index);
-                this.focusItem(index);
+        return element;
+    }
+    
+    // Fills a row with display cells, or editors when it is the row being edited.
+    // Events are delegated to the list (see setupRowEvents), so rows carry no
+    // listeners and can be reused for any item.
+    renderItemContent(element, item, index) {
+        const isEditing = this.editing?.id === item.id;
+        element.classList.toggle('editing', isEditing);
+        
+        // The row being edited has every column, so none of its editors is
+        // lost when the columns in view change
+        element.style.gridTemplateColumns = isEditing && this.columnWindow ? this.columnWindow.fullTemplate : '';
+        
+        if (isEditing) {
+            element.innerHTML = this.renderEditorCells(item);
+            this.rowLayouts.delete(element);
+            this.renderedContent.delete(element);
+            this.pinCells(element);
+            return;
+        }
+        
+        const context = { highlight: text => this.highlightSearch(text) };
+        const view = this.currentView;
+        if (view.render) {
+            let html = '';
+            try {
+                html = view.render(item, context);
+            } catch (error) {
+                console.error(`View "${view.id}" failed to render:`, error);
+            }
+            this.rowLayouts.set(element, `view:${view.id}`);
+            this.patchContent(element, html);
+        } else {
+            this.renderColumnCells(element, item, context);
+        }
+        this.runPluginHook('renderItem', element, item);
+    }
+    
+    // A recycled row keeps its cells while the columns stay the same, and
+    // only the cells whose content changed are written to
+    renderColumnCells(element, item, context) {
+        const tracks = this.columnWindow?.tracks ?? this.columns.visibleColumns.map(column => ({ column }));
+        const layout = `${this.columnsRevision}|${tracks.map(({ column }) => column?.id ?? '').join(',')}`;
+        
+        if (this.rowLayouts.get(element) !== layout) {
+            element.innerHTML = tracks
+                .map(({ column }) => (column ? this.renderCell(column) : '<div class="item-spacer" aria-hidden="true"></div>'))
+                .join('');
+            this.rowLayouts.set(element, layout);
+            this.renderedContent.delete(element);
+            this.pinCells(element);
+        }
+        
+        const pinnedCount = this.columnWindow?.pinned.length ?? 0;
+        tracks.forEach(({ column }, i) => {
+            if (!column) return;
+            
+            const cell = element.children[i];
+            let className = this.cellClassName(column, item);
+            if (i < pinnedCount) {
+                className += i === pinnedCount - 1 ? ' pinned-cell last-pinned' : ' pinned-cell';
             }
+            if (cell.className !== className) {
+                cell.className = className;
+            }
+            this.patchContent(cell, this.renderCellContent(column, item, context));
         });
+    }
+    
+    // Writes `html` into `element` unless it already holds it. Plain text goes
+    // into the existing text node rather than through the HTML parser.
+    patchContent(element, html) {
+        if (this.renderedContent.get(element) === html) return;
+        this.renderedContent.set(element, html);
+        
+        const text = element.firstChild;
+        if (!/[<&]/.test(html) && text?.nodeType === Node.TEXT_NODE && element.childNodes.length === 1) {
+            text.data = html;
+        } else {
+            element.innerHTML = html;
+        }
+    }
+    
+    // Editable cells carry `data-field`, so double-clicking them edits that field.
+    // Without an item only the empty cell is returned, for renderColumnCells to fill.
+    renderCell(column, item = null, context = null) {
+        const editable = this.isEditableColumn(column);
+        const classes = item ? this.cellClassName(column, item) : `item-cell item-${column.id}`;
+        const content = item ? this.renderCellContent(column, item, context) : '';
+        
+        return `<div class="${escapeHtml(classes)}" data-column="${escapeHtml(column.id)}"${editable ? ` data-field="${column.field}"` : ''}>${content}</div>`;
+    }
+    
+    cellClassName(column, item) {
+        return ['item-cell', `item-${column.id}`, column.cellClass?.(item)].filter(Boolean).join(' ');
+    }
+    
+    renderCellContent(column, item, context) {
+        try {
+            return column.render(item, context);
+        } catch (error) {
+            console.error(`Column "${column.id}" failed to render:`, error);
+            return '';
+        }
+    }
+    
+    isEditableColumn(column) {
+        return Boolean(column.editable && EDITABLE_FIELDS.includes(column.field));
+    }
+    
+    // Fields with a visible editable column, in column order
+    getEditableFields() {
+        return this.columns.visibleColumns
+            .filter(column => this.isEditableColumn(column))
+            .map(column => column.field);
+    }
+    
+    renderEditorCells(item) {
+        const { draft, errors } = this.editing;
+        
+        const cell = (field, label, control) => {
+            const error = errors[field];
+            return `
+                <div class="item-editor item-${field}-editor">
+                    ${control(`class="cell-editor" data-field="${field}" aria-label="${label}"${error ? ` aria-invalid="true" aria-describedby="${this.id}-error-${field}"` : ''}`)}
+                    ${error ? `<div class="cell-error" id="${this.id}-error-${field}">${escapeHtml(error)}</div>` : ''}
+                </div>
+            `;
+        };
         
-        // Action button events
-        const editBtn = element.querySelector('.item-action-btn[title="Edit item"]');
-        const deleteBtn = element.querySelector('.item-action-btn[title="Delete item"]');
+        const categories = ['urgent', 'normal', 'low'];
+        if (draft.category && !categories.includes(draft.category)) {
+            categories.push(draft.category);
+        }
         
-        editBtn?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.editItem(item.id);
-        });
+        const editors = {
+            name: attrs => `<input type="text" ${attrs} value="${escapeHtml(draft.name)}" maxlength="200">`,
+            category: attrs => `<select ${attrs}>${categories.map(category => `
+                <option value="${escapeHtml(category)}"${category === draft.category ? ' selected' : ''}>${escapeHtml(category)}</option>
+            `).join('')}</select>`,
+            value: attrs => `<input type="text" inputmode="decimal" ${attrs} value="${escapeHtml(draft.value)}">`,
+            date: attrs => `<input type="date" ${attrs} value="${escapeHtml(draft.date)}">`
+        };
+        const context = { highlight: text => escapeHtml(text) };
         
-        deleteBtn?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.deleteItem(item.id);
-        });
+        return this.columns.visibleColumns.map((column) => {
+            if (this.isEditableColumn(column)) {
+                return cell(column.field, column.label, editors[column.field]);
+            }
+            if (column.id === 'actions') {
+                return `
+                    <div class="item-actions item-editor">
+                        <button class="item-action-btn" data-action="save" title="Save (Enter)" aria-label="Save changes">✓</button>
+                        <button class="item-action-btn" data-action="cancel" title="Cancel (Escape)" aria-label="Cancel editing">✕</button>
+                    </div>
+                `;
+            }
+            return this.renderCell(column, item, context);
+        }).join('');
+    }
+    
+    // Re-checks one field and updates its error in place, without re-rendering the row
+    validateEditorField(element, field) {
+        const result = FIELD_VALIDATORS[field](this.editing.draft[field]);
+        const input = element.querySelector(`.cell-editor[data-field="${field}"]`);
+        const cell = input?.parentElement;
+        if (!cell) return;
+        
+        cell.querySelector('.cell-error')?.remove();
+        
+        if (result.error) {
+            this.editing.errors[field] = result.error;
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', `${this.id}-error-${field}`);
+            
+            const message = document.createElement('div');
+            message.className = 'cell-error';
+            message.id = `${this.id}-error-${field}`;
+            message.textContent = result.error;
+            cell.appendChild(message);
+        } else {
+            delete this.editing.errors[field];
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        }
+    }
+    
+    handleEditorKeydown(e, field, index) {
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this.commitEdit();
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.cancelEdit();
+                break;
+            case 'Tab': {
+                e.preventDefault();
+                const step = e.shiftKey ? -1 : 1;
+                const fields = this.getEditableFields();
+                const nextField = fields[fields.indexOf(field) + step];
+                
+                if (nextField) {
+                    this.focusEditor(nextField);
+                } else {
+                    // Past the first or last cell: save and continue on the neighbouring row
+                    let neighbourIndex = index + step;
+                    while (isGroupRow(this.displayRows[neighbourIndex])) neighbourIndex += step;
+                    const neighbour = this.displayRows[neighbourIndex];
+                    this.commitEdit().then(saved => {
+                        if (saved && neighbour) {
+                            this.editItem(neighbour.id, step > 0 ? fields[0] : fields[fields.length - 1]);
+                        }
+                    });
+                }
+                break;
+            }
+        }
+    }
+    
+    findItemElement(itemId) {
+        for (const element of this.listElement.querySelectorAll('.virtual-item')) {
+            if (element.dataset.id === String(itemId)) return element;
+        }
+        return null;
+    }
+    
+    refreshItem(itemId) {
+        const element = this.findItemElement(itemId);
+        const index = element ? parseInt(element.dataset.index) : -1;
+        const item = this.displayRows[index];
         
-        return element;
+        if (item && item.id === itemId) {
+            this.renderItemContent(element, item, index);
+            if (this.virtualEnabled) {
+                this.measureRenderedItems();
+            }
+        }
+    }
+    
+    focusEditor(field = this.editing?.field, selectText = true) {
+        if (!this.editing) return;
+        
+        const element = this.findItemElement(this.editing.id);
+        const input = element?.querySelector(`.cell-editor[data-field="${field}"]`);
+        if (input) {
+            input.focus();
+            if (selectText) {
+                input.select?.();
+            }
+        }
     }
     
     highlightSearch(text) {
-        if (!this.searchTerm) return text;
-        const regex = new RegExp(`(${this.searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        return text.replace(regex, '<span class="search-highlight">$1</span>');
+        if (!this.highlightPattern) return escapeHtml(text);
+        
+        // split() with a capturing pattern alternates plain text and matches
+        return String(text).split(this.highlightPattern).map((part, index) => {
+            return index % 2 === 1 ? `<span class="search-highlight">${escapeHtml(part)}</span>` : escapeHtml(part);
+        }).join('');
     }
     
     toggleItemSelection(index) {
-        const item = this.filteredData[index];
+        const item = this.displayRows[index];
+        if (!item || isGroupRow(item)) return;
+        
+        const selected = this.selectedItems.toggle(item.id);
+        this.announceToScreenReader(`${item.name} ${selected ? 'selected' : 'deselected'}`);
+    }
+    
+    // Starts inline editing of a row; any row already being edited is saved first
+    async editItem(itemId, field = null) {
+        const fields = this.getEditableFields();
+        if (fields.length === 0) {
+            this.announceToScreenReader('Show an editable column to edit items');
+            return;
+        }
+        
+        if (this.editing?.id === itemId) {
+            this.focusEditor(field ?? this.editing.field);
+            return;
+        }
+        
+        if (this.editing && !(await this.commitEdit())) return;
+        
+        const item = this.data.find(i => i.id === itemId);
         if (!item) return;
         
-        item.selected = !item.selected;
+        this.editing = {
+            id: item.id,
+            field: fields.includes(field) ? field : fields[0],
+            draft: {
+                name: item.name,
+                category: item.category,
+                value: String(item.value),
+                date: item.date || ''
+            },
+            errors: {}
+        };
         
-        if (item.selected) {
-            this.selectedItems.add(item.id);
-        } else {
-            this.selectedItems.delete(item.id);
+        const index = this.displayRows.indexOf(item);
+        if (index > -1) {
+            this.scrollToItem(index);
         }
         
-        // Re-render the specific item
-        const element = this.renderedItems.get(index);
-        if (element) {
-            if (item.selected) {
-                element.classList.add('selected');
-            } else {
-                element.classList.remove('selected');
-            }
+        this.refreshItem(item.id);
+        this.focusEditor();
+        this.announceToScreenReader(`Editing ${item.name}. Tab moves between fields, Enter saves, Escape cancels.`);
+    }
+    
+    // Resolves to true when the edit was saved (or nothing was being edited)
+    async commitEdit() {
+        if (!this.editing) return true;
+        
+        const { id, draft } = this.editing;
+        const { values, errors } = validateFields(draft);
+        
+        if (Object.keys(errors).length > 0) {
+            this.editing.errors = errors;
+            this.refreshItem(id);
+            this.focusEditor(EDITABLE_FIELDS.find(field => errors[field]));
+            this.announceToScreenReader(`Not saved. ${Object.values(errors).join('. ')}`);
+            return false;
         }
+        
+        this.editing = null;
+        
+        const item = this.data.find(i => i.id === id);
+        if (!item) return true;
+        
+        this.history.execute(this.createUpdateCommand(item, values));
+        await this.handleDataMutation();
+        this.restoreFocusTo(item);
+        this.announceToScreenReader(`Saved ${item.name}`);
+        return true;
     }
     
-    editItem(itemId) {
-        const item = this.data.find(i => i.id === itemId);
+    cancelEdit() {
+        if (!this.editing) return;
+        
+        const { id } = this.editing;
+        this.editing = null;
+        this.refreshItem(id);
+        
+        const item = this.data.find(i => i.id === id);
         if (item) {
-            const newName = prompt('Enter new name:', item.name);
-            if (newName && newName.trim()) {
-                item.name = newName.trim();
-                this.applyFilters();
-                this.render();
-                this.announceToScreenReader(`Item renamed to ${item.name}`);
-            }
+            this.restoreFocusTo(item);
         }
+        this.announceToScreenReader('Edit cancelled');
+    }
+    
+    restoreFocusTo(item) {
+        const index = this.displayRows.indexOf(item);
+        if (index === -1) return;
+        
+        this.focusItem(index);
+        this.listElement.focus({ preventScroll: true });
     }
     
     deleteItem(itemId) {
-        if (confirm('Are you sure you want to delete this item?')) {
-            const index = this.data.findIndex(i => i.id === itemId);
-            if (index > -1) {
-                const item = this.data[index];
-                this.data.splice(index, 1);
-                this.selectedItems.delete(itemId);
-                this.applyFilters();
-                this.updateTotalHeight();
-                this.updateStats();
-                this.render();
-                this.announceToScreenReader(`Deleted ${item.name}`);
-            }
-        }
+        const item = this.data.find(i => i.id === itemId);
+        if (!item) return;
+        
+        // Quick successive deletes undo together
+        const entry = this.history.execute(this.createRemoveCommand([item], 'Delete', 'delete-item'));
+        this.handleDataMutation();
+        
+        this.showUndoToast(entry.count === 1 ? `Deleted "${item.name}"` : `Deleted ${entry.count} items`);
+        this.announceToScreenReader(`Deleted ${item.name}. Press Ctrl+Z to undo.`);
     }
     
     returnItemsToPool(visibleStart, visibleEnd) {
@@ -825,6 +3480,8 @@ export class VirtualList {
     returnItemToPool(element) {
         if (element && element.parentNode) {
             element.parentNode.removeChild(element);
+            // Group headers are few and built differently; only row elements are reused
+            if (element.classList.contains('group-header')) return;
             element.classList.remove('focused');
             element.removeAttribute('aria-selected');
             this.itemPool.push(element);
@@ -894,9 +3551,99 @@ export class VirtualList {
         };
     }
     
+    // Events: see LIST_EVENTS. `on` returns a function that removes the listener.
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    
+    off(type, listener) {
+        return this.events.off(type, listener);
+    }
+    
+    emit(type, detail) {
+        this.events.emit(type, detail);
+    }
+    
+    // Plugins are objects with a `name` and any of the PLUGIN_HOOKS.
+    // Returns a function that removes the plugin again.
+    use(plugin) {
+        const name = plugin?.name;
+        if (!name || typeof name !== 'string') {
+            throw new TypeError('A plugin needs a string name');
+        }
+        if (this.plugins.has(name)) {
+            throw new Error(`A plugin named "${name}" is already installed`);
+        }
+        
+        this.plugins.set(name, { plugin, uninstall: null });
+        try {
+            const uninstall = plugin.install?.(this);
+            this.plugins.get(name).uninstall = typeof uninstall === 'function' ? uninstall : null;
+        } catch (error) {
+            this.plugins.delete(name);
+            throw error;
+        }
+        return () => this.removePlugin(name);
+    }
+    
+    removePlugin(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
+        
+        this.plugins.delete(name);
+        try {
+            entry.uninstall?.();
+        } catch (error) {
+            console.error(`Plugin "${name}" failed to uninstall:`, error);
+        }
+        return true;
+    }
+    
+    // A failing plugin is logged and skipped; the list keeps working
+    runPluginHook(hook, ...args) {
+        this.plugins.forEach(({ plugin }, name) => {
+            if (typeof plugin[hook] !== 'function') return;
+            try {
+                plugin[hook](this, ...args);
+            } catch (error) {
+                console.error(`Plugin "${name}" failed in ${hook}:`, error);
+            }
+        });
+    }
+    
     destroy() {
+        Array.from(this.plugins.keys()).forEach(name => this.removePlugin(name));
+        this.events.clear();
         this.abortController.abort();
+        this.closeColumnMapping();
+        
+        // Changes still waiting out the save delay are saved before the store closes
+        const saving = this.persistTimer ? this.persist() : this.persistQueue;
+        saving.then(() => {
+            this.data = [];
+            this.store?.close();
+        });
+        this.toasts.destroy();
+        this.history.clear();
+        this.loadController?.abort();
+        this.queryEngine.terminate();
+        this.stopInfiniteScroll();
+        clearInterval(this.metricsTimer);
+        clearTimeout(this.deepLinkTimer);
         this.returnAllItemsToPool();
-        this.data = [];
+        if (activeList === this) {
+            activeList = null;
+        }
+        
+        // Leave the root as it was found: created markup goes, given markup is emptied
+        if (this.createdContainer) {
+            this.createdContainer.remove();
+        } else {
+            this.stickyGroupHeader?.remove();
+            this.listElement.innerHTML = '';
+            if (this.headerElement) {
+                this.headerElement.innerHTML = '';
+            }
+        }
     }
 }
\ No newline at end of file